@@ -6,9 +6,17 @@ var logger = require("morgan");
 const cors = require("cors");
 require("dotenv").config();
 const setupSwagger = require("./utils/swagger");
+const localStorage = require("./utils/storage/localStorage");
 
 const db = require("./models/index");
-db.connectDb().catch(console.error);
+const { startOrderExpirySweeper } = require("./utils/orderExpiry");
+const { recordOpeningBalances } = require("./utils/wallet");
+db.connectDb()
+  .then(() => {
+    startOrderExpirySweeper();
+    return recordOpeningBalances();
+  })
+  .catch(console.error);
 
 var indexRouter = require("./index");
 var usersRouter = require("./routes/users");
@@ -26,10 +34,33 @@ const promotionRoute = require("./routes/promotionRoute");
 const quizRoute = require("./routes/quizRoute");
 const routineRoute = require("./routes/routineRoute");
 const accountRoute = require("./routes/accountRoute");
+const cartRoute = require("./routes/cartRoute");
+const walletRoute = require("./routes/walletRoute");
+const refundPolicyRoute = require("./routes/refundPolicyRoute");
+const addressRoute = require("./routes/addressRoute");
+const shippingRateRoute = require("./routes/shippingRateRoute");
+const codRoute = require("./routes/codRoute");
+const ingredientRoute = require("./routes/ingredientRoute");
 
 var app = express();
 app.use(cors());
 
+/*
+ * Which proxies may set X-Forwarded-For, and so req.ip: unset trusts none,
+ * "true" every one, a number that many hops, anything else is passed on as
+ * Express's list of addresses or subnets, e.g. "loopback, 10.0.0.0/8".
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // view engine setup
 app.set("views", path.join(__dirname, "views"));
 app.set("view engine", "jade");
@@ -40,7 +71,7 @@ app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+app.use("/uploads", express.static(localStorage.directory));
 app.use("/", indexRouter);
 app.use("/users", usersRouter);
 app.use("/api", authenticationRoute);
@@ -57,6 +88,13 @@ app.use("/api/promotion", promotionRoute);
 app.use("/api/quiz", quizRoute);
 app.use("/api/routine", routineRoute);
 app.use("/api/account", accountRoute);
+app.use("/api/cart", cartRoute);
+app.use("/api/wallet", walletRoute);
+app.use("/api/refund-policy", refundPolicyRoute);
+app.use("/api/addresses", addressRoute);
+app.use("/api/shipping-rates", shippingRateRoute);
+app.use("/api/cod", codRoute);
+app.use("/api/ingredients", ingredientRoute);
 
 setupSwagger(app);
 
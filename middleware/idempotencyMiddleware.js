@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const db = require("../models/index");
+
+// How long the first response to a key is kept and replayed, 24 hours by default
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const getFingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest("hex");
+
+/**
+ * Lets clients retry a request safely by sending an Idempotency-Key header.
+ * The first response to a key is stored for IDEMPOTENCY_TTL_SECONDS and sent
+ * again, with an Idempotent-Replayed header, for every retry instead of running
+ * the route again. A key reused for a different request is rejected. Responses
+ * with a server error are not stored so the request can be tried again.
+ * Requests without the header are not affected. Goes after the auth middleware,
+ * keys are kept per account.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long.` });
+  }
+
+  try {
+    const owner = req.user?._id || null;
+    const fingerprint = getFingerprint(req);
+    const now = new Date();
+
+    // Claims the key unless a request that has not expired already did
+    let record = await db.IdempotencyKey.findOneAndUpdate(
+      { owner, key, expiresAt: { $lte: now } },
+      {
+        fingerprint,
+        status: "processing",
+        $unset: { responseStatus: 1, responseBody: 1 },
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_SECONDS * 1000),
+      },
+      { new: true }
+    );
+    let claimed = Boolean(record);
+
+    if (!claimed) {
+      try {
+        record = await db.IdempotencyKey.create({
+          owner,
+          key,
+          fingerprint,
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_SECONDS * 1000),
+        });
+        claimed = true;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        record = await db.IdempotencyKey.findOne({ owner, key });
+      }
+    }
+
+    if (!claimed) {
+      if (!record || record.fingerprint !== fingerprint) {
+        return res.status(422).json({ message: "This Idempotency-Key was already used for a different request." });
+      }
+      if (record.status === "processing") {
+        return res
+          .status(409)
+          .json({ message: "A request with this Idempotency-Key is still being processed, try again shortly." });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // The response is stored before it is sent, so a retry never runs the route a second time
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = sendJson;
+      // Stored as plain JSON, exactly what the client receives
+      const responseBody = JSON.parse(JSON.stringify(body ?? null));
+      const saved =
+        res.statusCode >= 500
+          ? db.IdempotencyKey.deleteOne({ _id: record._id })
+          : db.IdempotencyKey.updateOne(
+              { _id: record._id },
+              { status: "completed", responseStatus: res.statusCode, responseBody }
+            );
+      saved
+        .catch((error) => console.error("Error saving idempotent response:", error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+};
+
+module.exports = idempotencyMiddleware;
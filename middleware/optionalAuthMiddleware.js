@@ -0,0 +1,21 @@
+const jwt = require("jsonwebtoken");
+
+// Like authMiddleware, but lets anonymous requests through with `req.user` left unset
+const optionalAuthMiddleware = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return next();
+  }
+
+  const token = authHeader.split(" ")[1];
+
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Invalid token!" });
+  }
+};
+
+module.exports = optionalAuthMiddleware;
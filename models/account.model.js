@@ -1,5 +1,34 @@
 const mongoose = require("mongoose");
 
+const AddressSchema = new mongoose.Schema({
+  recipientName: {
+    type: String,
+    required: [true, "Recipient name is required"],
+  },
+  phone: {
+    type: String,
+    required: [true, "Phone is required"],
+  },
+  street: {
+    type: String,
+    required: [true, "Street is required"],
+  },
+  ward: {
+    type: String,
+  },
+  district: {
+    type: String,
+  },
+  province: {
+    type: String,
+    required: [true, "Province is required"],
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const accountSchema = new mongoose.Schema(
   {
     email: {
@@ -28,6 +57,14 @@ const accountSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    addresses: [AddressSchema],
+    // Ingredients the customer reacts to, products containing them are flagged
+    allergies: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Ingredient",
+      },
+    ],
   },
   { timestamps: true }
 );
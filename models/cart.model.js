@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const CartSchema = mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      unique: true,
+      sparse: true,
+    },
+    guestId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // Id of the variant in product.variants, empty for products without variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Guest carts that were never merged into an account are dropped after 30 days of inactivity
+CartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+const Cart = mongoose.model("Cart", CartSchema);
+
+module.exports = Cart;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Cash a shipper handed over to the store from cash on delivery orders
+const CashRemittanceSchema = new mongoose.Schema(
+  {
+    shipper: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    note: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+CashRemittanceSchema.index({ shipper: 1, createdAt: -1 });
+
+const CashRemittance = mongoose.model("CashRemittance", CashRemittanceSchema);
+
+module.exports = CashRemittance;
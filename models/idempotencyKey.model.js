@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// First response to a request sent with an Idempotency-Key header, replayed for retries of it
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Account that sent the request, empty for anonymous requests
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Hash of the method, URL and body, a retry has to send the same request
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+IdempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -7,6 +7,15 @@ const Skin = require("./skin.model");
 const Brand = require("./brand.model");
 const Order = require("./order.model");
 const Feedback = require("./feedback.model");
+const Cart = require("./cart.model");
+const WalletTransaction = require("./walletTransaction.model");
+const Promotion = require("./promotion.model");
+const PromotionUsage = require("./promotionUsage.model");
+const RefundPolicy = require("./refundPolicy.model");
+const ShippingRate = require("./shippingRate.model");
+const CashRemittance = require("./cashRemittance.model");
+const IdempotencyKey = require("./idempotencyKey.model");
+const Ingredient = require("./ingredient.model");
 
 const db = {};
 
@@ -18,6 +27,15 @@ db.Skin = Skin;
 db.Brand = Brand;
 db.Order = Order;
 db.Feedback = Feedback;
+db.Cart = Cart;
+db.WalletTransaction = WalletTransaction;
+db.Promotion = Promotion;
+db.PromotionUsage = PromotionUsage;
+db.RefundPolicy = RefundPolicy;
+db.ShippingRate = ShippingRate;
+db.CashRemittance = CashRemittance;
+db.IdempotencyKey = IdempotencyKey;
+db.Ingredient = Ingredient;
 
 db.connectDb = async () => {
   try {
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const ingredientSchema = new mongoose.Schema(
+  {
+    // Name in the International Nomenclature of Cosmetic Ingredients, as printed on the label
+    inciName: {
+      type: String,
+      required: [true, "INCI name is required"],
+      unique: true,
+      trim: true,
+    },
+    commonName: {
+      type: String,
+      trim: true,
+    },
+    // What the ingredient does in a product, e.g. "Humectant" or "Preservative"
+    function: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    isAllergen: {
+      type: Boolean,
+      default: false,
+    },
+    isComedogenic: {
+      type: Boolean,
+      default: false,
+    },
+    createBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const Ingredient = mongoose.model("Ingredient", ingredientSchema);
+
+module.exports = Ingredient;
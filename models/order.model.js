@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const StoredFileSchema = require("./storedFile.schema");
 
 const OrderSchema = mongoose.Schema(
   {
@@ -9,12 +10,76 @@ const OrderSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Paid", "Canceled", "Shipping", "Delivered"],
+      // Confirmed: a cash on delivery order waiting to be shipped, it is paid when it is delivered
+      enum: [
+        "Pending",
+        "Confirmed",
+        "Paid",
+        "Canceled",
+        "Shipping",
+        "Delivered",
+        "ReturnRequested",
+        "Returned",
+        "ReturnRejected",
+      ],
       default: "Pending",
     },
+    // Every status change, appended by utils/orderLifecycle
+    statusHistory: [
+      {
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Account",
+        },
+        role: {
+          type: String,
+        },
+        note: {
+          type: String,
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // First delivery photo, kept for clients that read it from before proofOfDelivery
     imageConfirmDelivered: {
       type: String,
     },
+    // What the shipper recorded when handing the order over, files are in utils/storage
+    proofOfDelivery: {
+      photos: [StoredFileSchema],
+      recipientName: {
+        type: String,
+      },
+      signature: {
+        type: StoredFileSchema,
+        default: undefined,
+      },
+      location: {
+        latitude: {
+          type: Number,
+          min: -90,
+          max: 90,
+        },
+        longitude: {
+          type: Number,
+          min: -180,
+          max: 180,
+        },
+      },
+      deliveredAt: {
+        type: Date,
+      },
+    },
     items: [
       {
         product: {
@@ -22,21 +87,221 @@ const OrderSchema = mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // Id of the variant in product.variants, empty for products without variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        // Product details at the time of purchase, later price changes or deletes do not affect them
+        name: {
+          type: String,
+        },
+        sku: {
+          type: String,
+        },
+        size: {
+          type: String,
+        },
+        image: {
+          type: String,
+        },
+        unitPrice: {
+          type: Number,
+        },
         quantity: {
           type: Number,
           required: true,
           min: 1,
         },
+        // Share of the order discount taken off this line
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        lineTotal: {
+          type: Number,
+        },
+        status: {
+          type: String,
+          enum: ["Active", "Canceled"],
+          default: "Active",
+        },
+        canceledAt: {
+          type: Date,
+        },
+        refundAmount: {
+          type: Number,
+        },
       },
     ],
+    subtotal: {
+      type: Number,
+    },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    promotionCode: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Delivery address at the time of purchase, later address book changes do not affect it
+    shippingAddress: {
+      recipientName: {
+        type: String,
+      },
+      phone: {
+        type: String,
+      },
+      street: {
+        type: String,
+      },
+      ward: {
+        type: String,
+      },
+      district: {
+        type: String,
+      },
+      province: {
+        type: String,
+      },
+    },
+    shippingZone: {
+      type: String,
+    },
+    // Total weight of the items in grams
+    totalWeight: {
+      type: Number,
+    },
+    shippingFee: {
+      type: Number,
+      default: 0,
+    },
     totalAmount: {
       type: Number,
       required: true,
     },
+    paymentMethod: {
+      type: String,
+      enum: ["vnpay", "wallet", "split", "cod"],
+      default: "vnpay",
+    },
+    walletAmount: {
+      type: Number,
+      default: 0,
+    },
+    reservation: {
+      status: {
+        type: String,
+        enum: ["held", "committed", "released"],
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
+    // End of the payment window of a Pending order
+    expiresAt: {
+      type: Date,
+    },
+    canceledAt: {
+      type: Date,
+    },
+    cancelReason: {
+      type: String,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Cash the shipper took from the customer for a cash on delivery order
+    cashCollection: {
+      amount: {
+        type: Number,
+      },
+      collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Account",
+      },
+      collectedAt: {
+        type: Date,
+      },
+    },
+    // The shipper the order is assigned to and whether they took it
+    shipment: {
+      shipper: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Account",
+      },
+      status: {
+        type: String,
+        enum: ["Assigned", "Accepted", "Declined"],
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Account",
+      },
+      assignedAt: {
+        type: Date,
+      },
+      respondedAt: {
+        type: Date,
+      },
+      declineReason: {
+        type: String,
+      },
+    },
+    returnRequest: {
+      reason: {
+        type: String,
+      },
+      images: [
+        {
+          type: String,
+        },
+      ],
+      requestedAt: {
+        type: Date,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Account",
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      // Whether the returned products can be sold again and went back into stock
+      resellable: {
+        type: Boolean,
+      },
+      rejectReason: {
+        type: String,
+      },
+    },
+    // Provider that takes the online part of the payment, see utils/payment
+    paymentProvider: {
+      type: String,
+    },
+    // The provider's reference of the payment transaction
+    paymentTransactionRef: {
+      type: String,
+    },
+    // VNPAY transaction number of orders paid before providers were recorded
+    vnpTransactionNo: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+OrderSchema.index({ "shipment.shipper": 1, status: 1 });
+OrderSchema.index({ "cashCollection.collectedBy": 1 });
+OrderSchema.index({ "items.product": 1 });
+
 const Order = mongoose.model("Order", OrderSchema);
 
 module.exports = Order;
@@ -1,4 +1,59 @@
 const mongoose = require("mongoose");
+const StoredFileSchema = require("./storedFile.schema");
+
+// One size of a product, sold and stocked on its own
+const ProductVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required!!!"],
+    trim: true,
+  },
+  // Size or volume shown to customers, e.g. "50ml"
+  size: {
+    type: String,
+    required: [true, "Variant size is required!!!"],
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required!!!"],
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Variant quantity is required!!!"],
+    min: 0,
+  },
+  // Falls back to the product image when empty
+  image: {
+    type: String,
+  },
+  // Shipping weight in grams, falls back to the product weight when empty
+  weight: {
+    type: Number,
+    min: 0,
+  },
+});
+
+// An uploaded product photo with the smaller copies made of it, see utils/productImages
+const ProductImageSchema = new mongoose.Schema({
+  original: {
+    type: StoredFileSchema,
+    required: true,
+  },
+  medium: {
+    type: StoredFileSchema,
+    required: true,
+  },
+  thumbnail: {
+    type: StoredFileSchema,
+    required: true,
+  },
+  isCover: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const ProductSchema = mongoose.Schema(
   {
@@ -18,10 +73,18 @@ const ProductSchema = mongoose.Schema(
       type: Number,
       required: [true, "Product price is required!!!"],
     },
+    // URL of the cover image when the product has uploaded images
     image: {
       type: String,
       required: [true, "Product image is required!!!"],
     },
+    // Uploaded images in display order, exactly one of them is the cover
+    images: [ProductImageSchema],
+    // Shipping weight in grams
+    weight: {
+      type: Number,
+      min: 0,
+    },
     suitableSkin: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Skin",
@@ -41,14 +104,71 @@ const ProductSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Account",
     },
+    // In the order of the label, which lists the highest concentration first
+    ingredients: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Ingredient",
+      },
+    ],
+    // Deleted products stay in the collection so orders and feedback can still show them
     isDeleted: {
       type: Boolean,
       default: false,
     },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    // When a product has variants, price is the lowest variant price and quantity the stock of all variants
+    variants: [ProductVariantSchema],
   },
   { timestamps: true }
 );
 
+// The trash listing
+ProductSchema.index({ isDeleted: 1, deletedAt: -1 });
+ProductSchema.index({ ingredients: 1 });
+
+ProductSchema.pre("validate", function syncCoverImage(next) {
+  if (this.images.length > 0) {
+    const cover = this.images.find((image) => image.isCover) || this.images[0];
+    this.images.forEach((image) => {
+      image.isCover = image === cover;
+    });
+    this.image = cover.medium.url;
+  }
+  next();
+});
+
+ProductSchema.pre("validate", function syncVariantTotals(next) {
+  if (this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map((variant) => variant.price));
+    this.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+  next();
+});
+
+ProductSchema.path("variants").validate(
+  (variants) => new Set(variants.map((variant) => variant.sku)).size === variants.length,
+  "Variant SKUs must be unique!!!"
+);
+
+// A SKU belongs to one product only
+ProductSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+// Full-text search of the product list, names weigh more than descriptions
+ProductSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 }, default_language: "none", name: "ProductTextIndex" }
+);
+
 const Product = mongoose.model("Product", ProductSchema);
 
 module.exports = Product;
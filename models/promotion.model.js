@@ -12,6 +12,25 @@ const promotionSchema = new mongoose.Schema({
     type: Number,
     required: [true, "Discount is required"],
   },
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed"],
+    default: "percent",
+  },
+  // Maximum number of orders that can use the code, unlimited when empty
+  usageLimit: {
+    type: Number,
+    default: null,
+  },
+  // Maximum number of orders per customer, unlimited when empty
+  usageLimitPerCustomer: {
+    type: Number,
+    default: null,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
   createBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Account",
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const PromotionUsageSchema = mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// One usage counter per customer and code, so the per-customer limit can be claimed atomically
+PromotionUsageSchema.index({ promotion: 1, account: 1 }, { unique: true });
+
+const PromotionUsage = mongoose.model("PromotionUsage", PromotionUsageSchema);
+
+module.exports = PromotionUsage;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const RefundRuleSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+    },
+    statuses: {
+      type: [String],
+      enum: ["Pending", "Paid", "Shipping"],
+      required: true,
+    },
+    // The rule only applies up to this many minutes after payment, any time when empty
+    maxMinutesSincePaid: {
+      type: Number,
+      default: null,
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+// A single document holding the cancellation rules, checked in order until one matches
+const RefundPolicySchema = new mongoose.Schema(
+  {
+    rules: {
+      type: [RefundRuleSchema],
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const RefundPolicy = mongoose.model("RefundPolicy", RefundPolicySchema);
+
+module.exports = RefundPolicy;
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const WeightRateSchema = new mongoose.Schema(
+  {
+    // Fee for parcels up to this weight in grams
+    maxWeight: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    fee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // A zone without provinces covers every province no other zone lists
+    provinces: {
+      type: [String],
+      default: [],
+    },
+    rates: {
+      type: [WeightRateSchema],
+      required: true,
+    },
+    // Added for every started kilogram above the heaviest rate
+    extraFeePerKg: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// A single document holding the shipping rate table
+const ShippingRateSchema = new mongoose.Schema(
+  {
+    zones: {
+      type: [ShippingZoneSchema],
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const ShippingRate = mongoose.model("ShippingRate", ShippingRateSchema);
+
+module.exports = ShippingRate;
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A file saved through utils/storage
+const StoredFileSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = StoredFileSchema;
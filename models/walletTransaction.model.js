@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const WalletTransactionSchema = mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    type: {
+      type: String,
+      // opening_balance carries over what an account held before the ledger was introduced
+      enum: ["opening_balance", "topup", "payment", "sale", "refund"],
+      required: true,
+    },
+    // Positive for credits, negative for debits
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Account that caused the change, empty for system actions such as payment callbacks
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    note: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+WalletTransactionSchema.index({ account: 1, createdAt: -1 });
+
+const WalletTransaction = mongoose.model("WalletTransaction", WalletTransactionSchema);
+
+module.exports = WalletTransaction;
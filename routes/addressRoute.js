@@ -0,0 +1,269 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const { ADDRESS_FIELDS } = require("../utils/shipping");
+
+const addressRoute = express.Router();
+
+const pickAddressFields = (body) =>
+  Object.fromEntries(ADDRESS_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+// Keep exactly one default address while the book is not empty
+const setDefaultAddress = (account, addressId) => {
+  account.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Addresses
+ *   description: Address book of the logged-in account
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingAddress:
+ *       type: object
+ *       properties:
+ *         recipientName:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         street:
+ *           type: string
+ *           example: "12 Nguyễn Văn Bảo"
+ *         ward:
+ *           type: string
+ *         district:
+ *           type: string
+ *         province:
+ *           type: string
+ *           example: "Hồ Chí Minh"
+ *       required:
+ *         - recipientName
+ *         - phone
+ *         - street
+ *         - province
+ *     Address:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ShippingAddress'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             isDefault:
+ *               type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   get:
+ *     tags:
+ *       - Addresses
+ *     summary: Get the saved addresses
+ *     responses:
+ *       200:
+ *         description: The saved addresses, the default one first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.get("/", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("addresses");
+    if (!account) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    const addresses = [...account.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    res.status(200).json(addresses);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   post:
+ *     tags:
+ *       - Addresses
+ *     summary: Add an address
+ *     description: The first address saved becomes the default one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ShippingAddress'
+ *               - type: object
+ *                 properties:
+ *                   isDefault:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: The saved addresses
+ *       400:
+ *         description: A required field is missing
+ *       404:
+ *         description: Account not found
+ */
+addressRoute.post("/", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("addresses");
+    if (!account) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    account.addresses.push(pickAddressFields(req.body));
+    const address = account.addresses[account.addresses.length - 1];
+    if (req.body.isDefault === true || account.addresses.length === 1) {
+      setDefaultAddress(account, address._id);
+    }
+    await account.save();
+
+    res.status(201).json(account.addresses);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   put:
+ *     tags:
+ *       - Addresses
+ *     summary: Update an address
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingAddress'
+ *     responses:
+ *       200:
+ *         description: The saved addresses
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: Address not found
+ */
+addressRoute.put("/:addressId", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("addresses");
+    const address = account?.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found." });
+    }
+
+    address.set(pickAddressFields(req.body));
+    await account.save();
+
+    res.status(200).json(account.addresses);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}/default:
+ *   patch:
+ *     tags:
+ *       - Addresses
+ *     summary: Make an address the default one
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The saved addresses
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.patch("/:addressId/default", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("addresses");
+    const address = account?.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found." });
+    }
+
+    setDefaultAddress(account, address._id);
+    await account.save();
+
+    res.status(200).json(account.addresses);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   delete:
+ *     tags:
+ *       - Addresses
+ *     summary: Delete an address
+ *     description: When the default address is deleted the oldest remaining address becomes the default.
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The remaining addresses
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.delete("/:addressId", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("addresses");
+    const address = account?.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found." });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && account.addresses.length > 0) {
+      setDefaultAddress(account, account.addresses[0]._id);
+    }
+    await account.save();
+
+    res.status(200).json(account.addresses);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = addressRoute;
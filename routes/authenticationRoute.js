@@ -6,6 +6,7 @@ const nodemailer = require("nodemailer");
 const fs = require("fs");
 const path = require("path");
 const jwt = require("jsonwebtoken");
+const { mergeGuestCart } = require("../utils/cart");
 
 const authenticationRoute = express.Router();
 authenticationRoute.use(bodyParser.json());
@@ -130,6 +131,9 @@ authenticationRoute.post("/register", async (req, res) => {
  *               password:
  *                 type: string
  *                 description: The password for the user account.
+ *               guestId:
+ *                 type: string
+ *                 description: Id of the guest cart used before logging in. Its items are merged into the account cart.
  *             required:
  *               - email
  *               - password
@@ -155,7 +159,7 @@ authenticationRoute.post("/register", async (req, res) => {
  */
 authenticationRoute.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, guestId } = req.body;
 
     if (!email || !password) {
       return res.status(400).send({ message: "All fields are required" });
@@ -177,6 +181,10 @@ authenticationRoute.post("/login", async (req, res) => {
       expiresIn: "5h",
     });
 
+    if (guestId) {
+      await mergeGuestCart(guestId, account._id);
+    }
+
     const { password: _, ...accountWithoutPassword } = account.toObject();
 
     res.status(200).send({
@@ -0,0 +1,342 @@
+const express = require("express");
+const db = require("../models/index");
+const optionalAuthMiddleware = require("../middleware/optionalAuthMiddleware");
+const { getCartOwner, findOrCreateCart, findCartItem, getPurchasableProduct, buildCartView } = require("../utils/cart");
+
+const cartRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart of a customer or guest. Send a Bearer token when logged in, or an x-guest-id header otherwise.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *               size:
+ *                 type: string
+ *                 nullable: true
+ *               image:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: Current price of the product or variant
+ *               quantity:
+ *                 type: number
+ *               stock:
+ *                 type: number
+ *                 description: Units currently in stock
+ *               subtotal:
+ *                 type: number
+ *               available:
+ *                 type: boolean
+ *                 description: False when the product or variant was deleted, or a size has to be chosen again
+ *               inStock:
+ *                 type: boolean
+ *         totalQuantity:
+ *           type: number
+ *         totalWeight:
+ *           type: number
+ *           description: Weight of the available items in grams, for quoting the shipping fee
+ *         totalAmount:
+ *           type: number
+ *   parameters:
+ *     GuestIdHeader:
+ *       in: header
+ *       name: x-guest-id
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Client generated id of a guest cart, used when no Bearer token is sent
+ *     CartVariantQuery:
+ *       in: query
+ *       name: variant
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: The variant of the product, for products with variants
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     tags:
+ *       - Cart
+ *     summary: View the cart with live prices and stock
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestIdHeader'
+ *     responses:
+ *       200:
+ *         description: The current cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Neither a token nor a guest id was sent
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.get("/", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(getCartOwner(req));
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Add a product to the cart
+ *     description: >
+ *       Adds to the quantity when the product is already in the cart. Products with variants need
+ *       the variant to add, each variant is a line of its own.
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestIdHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Required for products with variants
+ *               quantity:
+ *                 type: number
+ *                 example: 1
+ *             required:
+ *               - product
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity, missing variant or not enough stock
+ *       404:
+ *         description: Product or variant not found
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.post("/items", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { product: productId, variant: variantId, quantity = 1 } = req.body;
+
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "A product and a positive quantity are required." });
+    }
+
+    const cart = await findOrCreateCart(getCartOwner(req));
+    const existing = findCartItem(cart, productId, variantId);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    const { product, variant } = await getPurchasableProduct(productId, newQuantity, variantId);
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: product._id, variant: variant?._id, quantity });
+    }
+    await cart.save();
+
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   patch:
+ *     tags:
+ *       - Cart
+ *     summary: Set the quantity of a product in the cart
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestIdHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/CartVariantQuery'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Product is not in the cart
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.patch("/items/:productId", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { quantity } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "Quantity must be a positive integer." });
+    }
+
+    const cart = await findOrCreateCart(getCartOwner(req));
+    const item = findCartItem(cart, productId, req.query.variant);
+    if (!item) {
+      return res.status(404).json({ message: "Product is not in the cart." });
+    }
+
+    await getPurchasableProduct(productId, quantity, item.variant);
+
+    item.quantity = quantity;
+    await cart.save();
+
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove a product from the cart
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestIdHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/CartVariantQuery'
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Product is not in the cart
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.delete("/items/:productId", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const cart = await findOrCreateCart(getCartOwner(req));
+    const item = findCartItem(cart, productId, req.query.variant);
+    if (!item) {
+      return res.status(404).json({ message: "Product is not in the cart." });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove every product from the cart
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestIdHeader'
+ *     responses:
+ *       200:
+ *         description: The emptied cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.delete("/", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const cart = await db.Cart.findOneAndUpdate(
+      getCartOwner(req),
+      { $set: { items: [] } },
+      { new: true, upsert: true }
+    );
+
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+module.exports = cartRoute;
@@ -0,0 +1,200 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { recordRemittance, getCashReconciliation } = require("../utils/cashOnDelivery");
+
+const codRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cash On Delivery
+ *   description: Cash collected by shippers and remitted to the store
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CashReconciliation:
+ *       type: object
+ *       properties:
+ *         shipper:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             email:
+ *               type: string
+ *             username:
+ *               type: string
+ *             phone:
+ *               type: string
+ *         orders:
+ *           type: number
+ *           description: Cash on delivery orders the shipper delivered
+ *         expected:
+ *           type: number
+ *           description: Total amount of those orders
+ *         collected:
+ *           type: number
+ *           description: Cash the shipper recorded as collected
+ *         shortfall:
+ *           type: number
+ *           description: Expected minus collected
+ *         remitted:
+ *           type: number
+ *           description: Cash the shipper handed over to the store
+ *         outstanding:
+ *           type: number
+ *           description: Collected cash the shipper still has to remit
+ *         lastRemittedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/cod/remittances:
+ *   post:
+ *     tags:
+ *       - Cash On Delivery
+ *     summary: Record cash a shipper handed over to the store
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shipperId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 example: 500000
+ *               note:
+ *                 type: string
+ *             required:
+ *               - shipperId
+ *               - amount
+ *     responses:
+ *       201:
+ *         description: The recorded remittance
+ *       400:
+ *         description: Invalid shipper ID or amount
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Shipper not found
+ *       500:
+ *         description: Server error
+ */
+codRoute.post("/remittances", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { shipperId, amount, note } = req.body;
+
+    const remittance = await recordRemittance(shipperId, amount, { receivedBy: req.user._id, note });
+
+    res.status(201).json(remittance);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cod/reconciliation:
+ *   get:
+ *     tags:
+ *       - Cash On Delivery
+ *     summary: Cash collected versus cash remitted, per shipper
+ *     responses:
+ *       200:
+ *         description: One entry per shipper
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CashReconciliation'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Server error
+ */
+codRoute.get("/reconciliation", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    res.status(200).json(await getCashReconciliation());
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cod/reconciliation/{shipperId}:
+ *   get:
+ *     tags:
+ *       - Cash On Delivery
+ *     summary: Cash reconciliation of one shipper with the orders and remittances behind it
+ *     description: Shippers can only see their own.
+ *     parameters:
+ *       - in: path
+ *         name: shipperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reconciliation, the cash on delivery orders and the remittances, newest first
+ *       400:
+ *         description: Invalid shipper ID
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Shipper not found
+ *       500:
+ *         description: Server error
+ */
+codRoute.get(
+  "/reconciliation/:shipperId",
+  authMiddleware,
+  roleMiddleware(["admin", "manager", "shipper"]),
+  async (req, res) => {
+    try {
+      const { shipperId } = req.params;
+
+      if (!db.mongoose.isValidObjectId(shipperId)) {
+        return res.status(400).json({ message: "Invalid shipper ID." });
+      }
+      if (req.user.role === "shipper" && req.user._id.toString() !== shipperId) {
+        return res.status(403).json({ message: "Shippers can only see their own cash." });
+      }
+
+      const [summary] = await getCashReconciliation(shipperId);
+      if (!summary) {
+        return res.status(404).json({ message: "Shipper not found." });
+      }
+
+      const [orders, remittances] = await Promise.all([
+        db.Order.find({ "cashCollection.collectedBy": shipperId })
+          .select("totalAmount cashCollection shippingAddress status")
+          .sort({ "cashCollection.collectedAt": -1 }),
+        db.CashRemittance.find({ shipper: shipperId })
+          .populate("receivedBy", "email username")
+          .sort({ createdAt: -1 }),
+      ]);
+
+      res.status(200).json({ ...summary, orderList: orders, remittances });
+    } catch (error) {
+      res.status(500).json({ message: "Server error.", error: error.message });
+    }
+  }
+);
+
+module.exports = codRoute;
@@ -2,6 +2,7 @@ const express = require("express");
 const db = require("../models/index");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { SOLD_STATUSES } = require("../utils/productSearch");
 
 const dashboardRoute = express.Router();
 
@@ -338,7 +339,7 @@ dashboardRoute.get("/brand", authMiddleware, roleMiddleware(["admin"]), async (r
  *                   description: The total revenue from paid orders for the specified year
  *                 totalCanceled:
  *                   type: number
- *                   description: The total amount refunded from canceled orders (50% of total canceled amount)
+ *                   description: The total amount refunded to customers for canceled orders and canceled items
  *                 totalCustomers:
  *                   type: number
  *                   description: The total number of unique customers who had transactions in the specified year
@@ -370,6 +371,15 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
         $group: {
           _id: "$status",
           totalAmount: { $sum: "$totalAmount" },
+          // Orders canceled before refunds were stored were refunded 50%
+          totalRefunded: {
+            $sum: {
+              $ifNull: [
+                "$refundAmount",
+                { $cond: [{ $eq: ["$status", "Canceled"] }, { $multiply: ["$totalAmount", 0.5] }, 0] },
+              ],
+            },
+          },
           uniqueCustomers: { $addToSet: "$account" },
         },
       },
@@ -378,6 +388,7 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
           _id: 0,
           status: "$_id",
           totalAmount: 1,
+          totalRefunded: 1,
           totalCustomers: { $size: "$uniqueCustomers" },
         },
       },
@@ -390,9 +401,9 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
     revenueStatistics.forEach((stat) => {
       if (stat.status === "Paid") {
         totalRevenue = stat.totalAmount;
-      } else if (stat.status === "Canceled") {
-        totalCanceled = stat.totalAmount / 2;
       }
+      // Single canceled items of orders that are still active are refunded too
+      totalCanceled += stat.totalRefunded;
       stat.uniqueCustomers?.forEach((customer) => customers.add(customer));
     });
 
@@ -407,6 +418,129 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
   }
 });
 
+/**
+ * @swagger
+ * /api/dashboard/variants:
+ *   get:
+ *     tags:
+ *       - Dashboard
+ *     summary: Get stock and sales of every product variant
+ *     description: >
+ *       One entry per variant, and one per product without variants, best sellers first. Only
+ *       products that are not deleted are listed.
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Count the sales of this year only, all sales when omitted
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Variants with this many units or fewer in stock are flagged as low on stock
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   productName:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                     nullable: true
+ *                   sku:
+ *                     type: string
+ *                     nullable: true
+ *                   size:
+ *                     type: string
+ *                     nullable: true
+ *                   stock:
+ *                     type: number
+ *                   lowStock:
+ *                     type: boolean
+ *                   soldQuantity:
+ *                     type: number
+ *                   revenue:
+ *                     type: number
+ *                     description: Line totals of the units sold, after discounts
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+dashboardRoute.get("/variants", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const lowStock = Number.isInteger(Number(req.query.lowStock)) ? Number(req.query.lowStock) : 5;
+
+    const orderMatch = { status: { $in: SOLD_STATUSES } };
+    if (req.query.year) {
+      orderMatch.createdAt = {
+        $gte: new Date(`${req.query.year}-01-01T00:00:00.000Z`),
+        $lte: new Date(`${req.query.year}-12-31T23:59:59.999Z`),
+      };
+    }
+
+    const [sales, stock] = await Promise.all([
+      db.Order.aggregate([
+        { $match: orderMatch },
+        { $unwind: "$items" },
+        { $match: { "items.status": { $ne: "Canceled" } } },
+        {
+          $group: {
+            _id: { product: "$items.product", variant: "$items.variant" },
+            soldQuantity: { $sum: "$items.quantity" },
+            revenue: {
+              $sum: { $ifNull: ["$items.lineTotal", { $multiply: ["$items.quantity", "$items.unitPrice"] }] },
+            },
+          },
+        },
+      ]),
+      db.Product.aggregate([
+        { $match: { isDeleted: { $ne: true } } },
+        { $unwind: { path: "$variants", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            product: "$_id",
+            productName: "$name",
+            variant: { $ifNull: ["$variants._id", null] },
+            sku: { $ifNull: ["$variants.sku", null] },
+            size: { $ifNull: ["$variants.size", null] },
+            stock: { $ifNull: ["$variants.quantity", "$quantity"] },
+          },
+        },
+      ]),
+    ]);
+
+    const salesByLine = new Map(sales.map((line) => [`${line._id.product}:${line._id.variant || ""}`, line]));
+    const variants = stock
+      .map((line) => {
+        const sold = salesByLine.get(`${line.product}:${line.variant || ""}`);
+        return {
+          ...line,
+          lowStock: line.stock <= lowStock,
+          soldQuantity: sold?.soldQuantity || 0,
+          revenue: sold?.revenue || 0,
+        };
+      })
+      .sort((a, b) => b.soldQuantity - a.soldQuantity || a.stock - b.stock);
+
+    res.status(200).json(variants);
+  } catch (error) {
+    console.error("Error fetching variant statistics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /api/dashboard/transactions:
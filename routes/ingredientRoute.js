@@ -0,0 +1,397 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getPagination, escapeRegex, parseIdList } = require("../utils/query");
+
+const ingredientRoute = express.Router();
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const INGREDIENT_FIELDS = ["inciName", "commonName", "function", "description", "isAllergen", "isComedogenic"];
+
+const pickIngredientFields = (body) =>
+  Object.fromEntries(
+    INGREDIENT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+
+const sendSaveError = (res, error) => {
+  if (error.code === DUPLICATE_KEY_ERROR) {
+    return res.status(409).json({ message: "An ingredient with this INCI name already exists." });
+  }
+  res.status(error.status || 400).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ingredients
+ *   description: Ingredient catalog and the allergies of the logged-in account
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Ingredient:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         inciName:
+ *           type: string
+ *           description: International Nomenclature of Cosmetic Ingredients name, unique
+ *           example: "Sodium Hyaluronate"
+ *         commonName:
+ *           type: string
+ *           example: "Hyaluronic acid"
+ *         function:
+ *           type: string
+ *           example: "Humectant"
+ *         description:
+ *           type: string
+ *         isAllergen:
+ *           type: boolean
+ *         isComedogenic:
+ *           type: boolean
+ *           description: Known to clog pores
+ *       required:
+ *         - inciName
+ */
+
+/**
+ * @swagger
+ * /api/ingredients:
+ *   get:
+ *     tags:
+ *       - Ingredients
+ *     summary: Search the ingredient catalog
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the INCI or common name
+ *       - in: query
+ *         name: isAllergen
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isComedogenic
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: One page of ingredients sorted by INCI name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 ingredients:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ingredient'
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.get("/", async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = {};
+    if (req.query.q) {
+      const name = new RegExp(escapeRegex(req.query.q), "i");
+      filter.$or = [{ inciName: name }, { commonName: name }];
+    }
+    for (const flag of ["isAllergen", "isComedogenic"]) {
+      if (["true", "false"].includes(req.query[flag])) {
+        filter[flag] = req.query[flag] === "true";
+      }
+    }
+
+    const [total, ingredients] = await Promise.all([
+      db.Ingredient.countDocuments(filter),
+      db.Ingredient.find(filter).sort({ inciName: 1 }).skip(skip).limit(limit),
+    ]);
+
+    res.status(200).json({ total, page, limit, ingredients });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/allergies:
+ *   get:
+ *     tags:
+ *       - Ingredients
+ *     summary: Get the allergies of the logged-in account
+ *     description: Products containing one of these ingredients come with allergyWarnings.
+ *     responses:
+ *       200:
+ *         description: The ingredients the account is allergic to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 allergies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ingredient'
+ *       401:
+ *         description: Not logged in
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.get("/allergies", authMiddleware, async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.user._id).select("allergies").populate("allergies");
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    res.status(200).json({ allergies: account.allergies });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/allergies:
+ *   put:
+ *     tags:
+ *       - Ingredients
+ *     summary: Replace the allergies of the logged-in account
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allergies:
+ *                 type: array
+ *                 description: Ingredient IDs, an empty array clears the allergies
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The saved allergies
+ *       400:
+ *         description: Invalid or unknown ingredient IDs
+ *       401:
+ *         description: Not logged in
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.put("/allergies", authMiddleware, async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.allergies)) {
+      return res.status(400).json({ message: "allergies must be an array of ingredient IDs." });
+    }
+
+    const ids = [...new Set(parseIdList(req.body.allergies, "allergies").map(String))];
+    const ingredients = await db.Ingredient.find({ _id: { $in: ids } });
+    if (ingredients.length !== ids.length) {
+      return res.status(400).json({ message: "Some ingredients are not in the ingredient catalog." });
+    }
+
+    const account = await db.Account.findByIdAndUpdate(req.user._id, { allergies: ids }, { new: true });
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    res.status(200).json({ allergies: ingredients });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   get:
+ *     tags:
+ *       - Ingredients
+ *     summary: Get an ingredient by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingredient'
+ *       404:
+ *         description: Ingredient not found
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.get("/:id", async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+    res.status(200).json(ingredient);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients:
+ *   post:
+ *     tags:
+ *       - Ingredients
+ *     summary: Add an ingredient to the catalog
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ingredient'
+ *     responses:
+ *       201:
+ *         description: Ingredient created successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       409:
+ *         description: An ingredient with this INCI name already exists
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.create({ ...pickIngredientFields(req.body), createBy: req.user._id });
+    res.status(201).json(ingredient);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   put:
+ *     tags:
+ *       - Ingredients
+ *     summary: Update an ingredient
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ingredient'
+ *     responses:
+ *       200:
+ *         description: Ingredient updated successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Ingredient not found
+ *       409:
+ *         description: An ingredient with this INCI name already exists
+ */
+ingredientRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findByIdAndUpdate(req.params.id, pickIngredientFields(req.body), {
+      new: true,
+      runValidators: true,
+    });
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+    res.status(200).json(ingredient);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   delete:
+ *     tags:
+ *       - Ingredients
+ *     summary: Delete an ingredient
+ *     description: >
+ *       Only ingredients no product lists can be deleted. The ingredient is removed from the
+ *       allergies of every account as well.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ingredient deleted successfully
+ *       400:
+ *         description: Products still list the ingredient
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Ingredient not found
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+
+    // Deleted products count too, they can be restored
+    const productCount = await db.Product.countDocuments({ ingredients: ingredient._id });
+    if (productCount > 0) {
+      return res.status(400).json({ message: `${productCount} products still list this ingredient.` });
+    }
+
+    await ingredient.deleteOne();
+    await db.Account.updateMany({ allergies: ingredient._id }, { $pull: { allergies: ingredient._id } });
+
+    res.status(200).json({ message: "Ingredient deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = ingredientRoute;
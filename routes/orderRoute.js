@@ -1,41 +1,220 @@
 const express = require("express");
+const createError = require("http-errors");
 const db = require("../models/index");
 const crypto = require("crypto");
-const { VNPay, ignoreLogger, ProductCode, VnpLocale, dateFormat } = require("vnpay");
+const { CALLBACK_RESULTS, getPaymentProvider, getClientIp } = require("../utils/payment");
+const { markOrderPaid, cancelUnfulfillableOrder, sendOrderConfirmationEmail } = require("../utils/orderPayment");
+const { debitBalance, creditBalance } = require("../utils/wallet");
+const { getReservationExpiry, reserveStock } = require("../utils/stock");
+const { getOrderExpiry, expirePendingOrder } = require("../utils/orderExpiry");
+const { buildOrderItems } = require("../utils/orderItems");
+const { evaluateRefund } = require("../utils/refundPolicy");
+const { cancelOrder, cancelOrderItem } = require("../utils/orderCancellation");
+const { approveReturn, rejectReturn } = require("../utils/orderReturn");
+const { createHistoryEntry, transitionOrder } = require("../utils/orderLifecycle");
+const {
+  isAssignedShipper,
+  assignShipper,
+  respondToAssignment,
+  getShipperWorkload,
+} = require("../utils/orderShipment");
+const { redeemPromotion, releasePromotion } = require("../utils/promotion");
+const { getItemsWeight, calculateShippingFee, resolveShippingAddress } = require("../utils/shipping");
+const { getPagination, escapeRegex, parseNumber, parseDate } = require("../utils/query");
+const { deliverCodOrder } = require("../utils/cashOnDelivery");
+const { findOrCreateCart, findCartItem, getPurchasableProduct, buildCartView } = require("../utils/cart");
+const { planReorder, addLinesToCart } = require("../utils/reorder");
+const { resolveVariant, getLineDetails, getLineName } = require("../utils/productVariant");
+const { saveUploadedFiles, removeFiles } = require("../utils/storage");
+const { imageUpload } = require("../utils/upload");
+const { MAX_DELIVERY_PHOTOS, parseDeliveryDetails } = require("../utils/proofOfDelivery");
+const { canInvoice, getInvoiceNumber, buildInvoicePdf } = require("../utils/invoice");
 const roleMiddleware = require("../middleware/roleMiddleware");
 const authMiddleware = require("../middleware/authMiddleware");
-const nodemailer = require("nodemailer");
-const fs = require("fs");
-const path = require("path");
-const handlebars = require("handlebars");
-const multer = require("multer");
+const idempotencyMiddleware = require("../middleware/idempotencyMiddleware");
 const moment = require("moment");
 const axios = require("axios");
 const CryptoJS = require("crypto-js");
 
 const orderRoute = express.Router();
 
-// Configure multer for file upload
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const uploadPath = path.join(__dirname, "../uploads/deliveryConfirmation");
-      fs.mkdirSync(uploadPath, { recursive: true });
-      cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-      cb(null, `delivery-${req.params.orderId}-${Date.now()}${path.extname(file.originalname)}`);
-    },
-  }),
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ["image/jpeg", "image/png", "image/gif"];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error("Invalid file type. Only JPEG, PNG, and GIF are allowed."));
-    }
-  },
-});
+/**
+ * Work out how much of `totalAmount` is paid from the account balance for the
+ * chosen payment method. "vnpay" and "cod" pay nothing from the balance,
+ * "wallet" pays everything and "split" pays `walletAmount` (the whole balance
+ * when omitted) and leaves the rest to the online payment provider.
+ */
+const resolveWalletAmount = (paymentMethod, totalAmount, balance, walletAmount) => {
+  if (paymentMethod === "vnpay" || paymentMethod === "cod") {
+    return 0;
+  }
+
+  if (paymentMethod === "wallet") {
+    return totalAmount;
+  }
+
+  if (paymentMethod === "split") {
+    const amount = walletAmount === undefined ? Math.min(balance, totalAmount) : walletAmount;
+    if (typeof amount !== "number" || amount <= 0 || amount >= totalAmount) {
+      throw createError(400, "For a split payment the wallet amount must be more than 0 and less than the total.");
+    }
+    return amount;
+  }
+
+  throw createError(400, `Unknown payment method: ${paymentMethod}`);
+};
+
+/**
+ * Create a Pending order for `items` at current prices, of the variant when
+ * the item names one, less the discount of `promotionCode` when one is
+ * given, plus the shipping fee to
+ * `shippingAddress` (see resolveShippingAddress). Stock is reserved until the
+ * payment URL expires and the part paid from the account balance is debited
+ * straight away; when that covers the whole total the order is marked Paid,
+ * otherwise the payment provider builds a payment URL for the remaining
+ * amount, `ipAddr` being the customer's address. A cash on delivery order
+ * skips payment: it is Confirmed with its stock committed and goes straight to
+ * the shippers, the cash is collected on delivery. Throws an
+ * http error when the account, a product, variant or the address is missing, a
+ * product does not have enough stock, the promotion code cannot be used, the
+ * balance is too low or the payment provider is not configured. When the
+ * payment URL cannot be built the order is canceled again and its stock,
+ * balance and promotion given back.
+ */
+const createPendingOrder = async (
+  account,
+  items,
+  { paymentMethod = "vnpay", walletAmount, promotionCode, addressId, shippingAddress, ipAddr } = {}
+) => {
+  const paymentProvider = getPaymentProvider();
+  const isCashOnDelivery = paymentMethod === "cod";
+
+  const accountDetails = await db.Account.findById(account).select("email username phone balance").exec();
+  if (!accountDetails) {
+    throw createError(404, "Account not found.");
+  }
+
+  let subtotal = 0;
+  const lines = [];
+
+  for (const item of items) {
+    const product = db.mongoose.isValidObjectId(item.product) ? await db.Product.findById(item.product) : null;
+    if (!product || product.isDeleted) {
+      throw createError(404, `Product with ID ${item.product} not found.`);
+    }
+
+    const variant = resolveVariant(product, item.variant);
+    const { price, stock } = getLineDetails(product, variant);
+    if (stock < item.quantity) {
+      throw createError(
+        400,
+        `Not enough stock for ${getLineName(product, variant)}. Available: ${stock}, Requested: ${item.quantity}`
+      );
+    }
+
+    subtotal += item.quantity * price;
+    lines.push({ product, variant, quantity: item.quantity });
+  }
+
+  const address = await resolveShippingAddress(account, { addressId, address: shippingAddress });
+  const shipping = await calculateShippingFee(address.province, getItemsWeight(lines));
+
+  let promotion = null;
+  let discountAmount = 0;
+  if (promotionCode) {
+    ({ promotion, discountAmount } = await redeemPromotion(promotionCode, account, subtotal));
+  }
+  const totalAmount = subtotal - discountAmount + shipping.fee;
+  const orderItems = buildOrderItems(lines, discountAmount);
+
+  const newOrder = new db.Order({
+    account,
+    items: orderItems,
+    subtotal,
+    promotion: promotion?._id,
+    promotionCode: promotion?.code,
+    discountAmount,
+    shippingAddress: address,
+    shippingZone: shipping.zone,
+    totalWeight: shipping.weight,
+    shippingFee: shipping.fee,
+    totalAmount,
+    paymentMethod,
+    imageConfirmDelivered: null,
+  });
+  if (isCashOnDelivery) {
+    const note = "Order placed, cash on delivery";
+    newOrder.status = "Confirmed";
+    newOrder.statusHistory = [createHistoryEntry(null, "Confirmed", { actor: account, role: "customer", note })];
+    newOrder.reservation = { status: "committed" };
+  } else {
+    const note = "Order placed";
+    newOrder.status = "Pending";
+    newOrder.statusHistory = [createHistoryEntry(null, "Pending", { actor: account, role: "customer", note })];
+    newOrder.reservation = { status: "held", expiresAt: getReservationExpiry() };
+    newOrder.expiresAt = getOrderExpiry();
+  }
+
+  // Stock, balance and order are written together: a failure in any of them leaves none applied
+  try {
+    const walletPart = resolveWalletAmount(paymentMethod, totalAmount, accountDetails.balance, walletAmount);
+    // Checked before anything is written, an order the provider cannot take payment for would only hold stock
+    if (!isCashOnDelivery && walletPart < totalAmount) {
+      paymentProvider.assertConfigured();
+    }
+
+    await db.mongoose.connection.transaction(async (session) => {
+      await reserveStock(orderItems, session);
+
+      if (walletPart > 0) {
+        const debited = await debitBalance(account, walletPart, {
+          type: "payment",
+          order: newOrder._id,
+          actor: account,
+          session,
+        });
+        if (!debited) {
+          throw createError(400, `Insufficient balance. Available: ${accountDetails.balance}, Required: ${walletPart}`);
+        }
+      }
+
+      newOrder.walletAmount = walletPart;
+      newOrder.paymentProvider = !isCashOnDelivery && walletPart < totalAmount ? paymentProvider.name : undefined;
+      await newOrder.save({ session });
+    });
+  } catch (error) {
+    if (promotion) {
+      await releasePromotion(promotion._id, account);
+    }
+    throw error;
+  }
+
+  if (isCashOnDelivery) {
+    sendOrderConfirmationEmail(newOrder, accountDetails).catch((error) => console.error("Error sending email:", error));
+    return { order: newOrder, paymentUrl: null };
+  }
+
+  if (newOrder.walletAmount === totalAmount) {
+    const paidOrder = await markOrderPaid(newOrder._id);
+    return { order: paidOrder, paymentUrl: null };
+  }
+
+  let paymentUrl;
+  try {
+    ({ paymentUrl } = await paymentProvider.createPayment({
+      orderId: newOrder._id,
+      amount: totalAmount - newOrder.walletAmount,
+      ipAddr,
+      expiresAt: newOrder.expiresAt,
+    }));
+  } catch (error) {
+    // The customer cannot pay this order: give back its stock, balance and promotion
+    await expirePendingOrder(newOrder._id, "The payment could not be started");
+    throw error;
+  }
+
+  return { order: newOrder, paymentUrl };
+};
 
 /**
  * @swagger
@@ -48,6 +227,15 @@ const upload = multer({
  * @swagger
  * components:
  *   schemas:
+ *     StoredFile:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Path of the file in the storage backend
+ *         url:
+ *           type: string
+ *           description: Public URL of the file
  *     Order:
  *       type: object
  *       properties:
@@ -56,8 +244,30 @@ const upload = multer({
  *           description: The ID of the account
  *         status:
  *           type: string
- *           enum: ["Pending", "Paid"]
+ *           enum: ["Pending", "Confirmed", "Paid", "Canceled", "Shipping", "Delivered", "ReturnRequested", "Returned", "ReturnRejected"]
  *           description: The status of the order
+ *         statusHistory:
+ *           type: array
+ *           description: Every status change of the order, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 nullable: true
+ *               to:
+ *                 type: string
+ *               actor:
+ *                 type: string
+ *                 description: The account that made the change, empty for automatic changes
+ *               role:
+ *                 type: string
+ *                 description: Role of the actor, "system" for payment callbacks and background jobs
+ *               note:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
  *         items:
  *           type: array
  *           items:
@@ -66,12 +276,173 @@ const upload = multer({
  *               product:
  *                 type: string
  *                 description: The ID of the product
+ *               variant:
+ *                 type: string
+ *                 description: The ID of the variant, for products with variants
+ *               name:
+ *                 type: string
+ *                 description: Product name at the time of purchase
+ *               sku:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 description: Size of the variant bought
+ *               image:
+ *                 type: string
+ *                 description: Product image at the time of purchase
+ *               unitPrice:
+ *                 type: number
+ *                 description: Product price at the time of purchase
  *               quantity:
  *                 type: number
  *                 description: The quantity of the product
+ *               discount:
+ *                 type: number
+ *                 description: Share of the order discount taken off this line
+ *               lineTotal:
+ *                 type: number
+ *                 description: unitPrice x quantity - discount
+ *         subtotal:
+ *           type: number
+ *           description: Sum of the line items before the discount
+ *         promotionCode:
+ *           type: string
+ *           description: The promotion code applied to the order
+ *         discountAmount:
+ *           type: number
+ *           description: The amount taken off by the promotion code
+ *         shippingAddress:
+ *           $ref: '#/components/schemas/ShippingAddress'
+ *         shippingZone:
+ *           type: string
+ *           description: The shipping rate zone the address falls in
+ *         totalWeight:
+ *           type: number
+ *           description: Weight of the items in grams
+ *         shippingFee:
+ *           type: number
  *         totalAmount:
  *           type: number
- *           description: The total amount of the order
+ *           description: Subtotal less the discount plus the shipping fee
+ *         paymentProvider:
+ *           type: string
+ *           enum: ["vnpay", "mock"]
+ *           description: Provider that takes the online part of the payment
+ *         paymentTransactionRef:
+ *           type: string
+ *           description: The provider's reference of the payment transaction
+ *         vnpTransactionNo:
+ *           type: string
+ *           description: VNPAY transaction number of orders paid before providers were recorded
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         paymentMethod:
+ *           type: string
+ *           enum: ["vnpay", "wallet", "split", "cod"]
+ *         cashCollection:
+ *           type: object
+ *           description: Cash the shipper collected on delivery of a cash on delivery order
+ *           properties:
+ *             amount:
+ *               type: number
+ *             collectedBy:
+ *               type: string
+ *             collectedAt:
+ *               type: string
+ *               format: date-time
+ *         imageConfirmDelivered:
+ *           type: string
+ *           description: URL of the first delivery photo
+ *         proofOfDelivery:
+ *           type: object
+ *           properties:
+ *             photos:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StoredFile'
+ *             recipientName:
+ *               type: string
+ *             signature:
+ *               $ref: '#/components/schemas/StoredFile'
+ *             location:
+ *               type: object
+ *               properties:
+ *                 latitude:
+ *                   type: number
+ *                 longitude:
+ *                   type: number
+ *             deliveredAt:
+ *               type: string
+ *               format: date-time
+ *         reservation:
+ *           type: object
+ *           description: Stock held for the order until it is paid or the reservation expires
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: ["held", "committed", "released"]
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: A Pending order not paid by this time is canceled automatically
+ *         canceledAt:
+ *           type: string
+ *           format: date-time
+ *         cancelReason:
+ *           type: string
+ *           description: Why the order was canceled, e.g. the payment window expired
+ *         refundAmount:
+ *           type: number
+ *           description: The amount refunded to the customer when the order was canceled
+ *         walletAmount:
+ *           type: number
+ *           description: The part of the total paid from the account balance
+ *         shipment:
+ *           type: object
+ *           description: The shipper the order is assigned to
+ *           properties:
+ *             shipper:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: ["Assigned", "Accepted", "Declined"]
+ *             assignedBy:
+ *               type: string
+ *             assignedAt:
+ *               type: string
+ *               format: date-time
+ *             respondedAt:
+ *               type: string
+ *               format: date-time
+ *             declineReason:
+ *               type: string
+ *         returnRequest:
+ *           type: object
+ *           description: The customer's request to return a delivered order and how it was reviewed
+ *           properties:
+ *             reason:
+ *               type: string
+ *             images:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             requestedAt:
+ *               type: string
+ *               format: date-time
+ *             reviewedBy:
+ *               type: string
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
+ *             resellable:
+ *               type: boolean
+ *               description: Whether the returned products went back into stock
+ *             rejectReason:
+ *               type: string
  *       required:
  *         - account
  *         - status
@@ -79,13 +450,40 @@ const upload = multer({
  *         - totalAmount
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     IdempotencyKeyHeader:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: >
+ *         Client generated key, e.g. a UUID, to retry the request safely. Retries with the same key
+ *         get the first response again, with an Idempotent-Replayed header, for 24 hours by default.
+ *         Reusing the key for a different request answers 422, and 409 while the first request is
+ *         still running.
+ */
+
 /**
  * @swagger
  * /api/order/add-to-cart:
  *   post:
  *     tags:
  *       - Orders
- *     summary: Create a pending order with VNPAY payment URL
+ *     summary: Add several products to the cart of the logged-in account
+ *     deprecated: true
+ *     description: >
+ *       Kept for older clients, use POST /api/cart/items instead. This no longer creates an order or
+ *       a payment URL: the items are added to the cart, like POST /api/cart/items does for one
+ *       product, and the order is placed with /api/order/checkout. promotionCode, addressId and
+ *       shippingAddress are ignored here, send them to checkout. Nothing is added when one of the
+ *       items cannot be bought.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -95,7 +493,7 @@ const upload = multer({
  *             properties:
  *               account:
  *                 type: string
- *                 description: The account ID
+ *                 description: Optional, must be the logged-in account
  *               items:
  *                 type: array
  *                 items:
@@ -104,324 +502,720 @@ const upload = multer({
  *                     product:
  *                       type: string
  *                       description: The product ID
+ *                     variant:
+ *                       type: string
+ *                       description: The variant ID, required for products with variants
  *                     quantity:
  *                       type: number
  *                       description: The quantity of the product
  *     responses:
- *       201:
- *         description: VNPAY payment URL created successfully
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
  *       400:
- *         description: Bad request
+ *         description: No items, an invalid quantity, a missing variant or not enough stock
+ *       403:
+ *         description: account is not the logged-in account
  *       404:
- *         description: Product not found
+ *         description: Product or variant not found
  *       500:
  *         description: Internal server error
  */
-orderRoute.post("/add-to-cart", authMiddleware, async (req, res) => {
+orderRoute.post("/add-to-cart", authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { account, items } = req.body;
+    const { items } = req.body;
 
-    if (!account || !items || items.length === 0) {
-      return res.status(400).json({ message: "An order must contain at least one product." });
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "Add at least one product." });
     }
-
-    const accountDetails = await db.Account.findById(account).select("email").exec();
-    if (!accountDetails) {
-      return res.status(404).json({ message: "Account not found." });
+    if (req.body.account !== undefined && String(req.body.account) !== String(req.user._id)) {
+      return res.status(403).json({ message: "You can only add to your own cart." });
     }
 
-    let totalAmount = 0;
-    const orderItems = [];
+    const cart = await findOrCreateCart({ account: req.user._id });
 
-    for (const item of items) {
-      const product = await db.Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({ message: `Product with ID ${item.product} not found.` });
+    // Every item is checked before the cart is saved, so a failing one leaves the cart as it was
+    for (const { product: productId, variant: variantId, quantity = 1 } of items) {
+      if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ message: "Every item needs a product and a positive quantity." });
       }
 
-      if (product.quantity < item.quantity) {
-        return res.status(400).json({
-          message: `Not enough stock for ${product.name}. Available: ${product.quantity}, Requested: ${item.quantity}`,
-        });
-      }
+      const existing = findCartItem(cart, productId, variantId);
+      const newQuantity = (existing ? existing.quantity : 0) + quantity;
+      const { product, variant } = await getPurchasableProduct(productId, newQuantity, variantId);
 
-      totalAmount += item.quantity * product.price;
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-      });
+      if (existing) {
+        existing.quantity = newQuantity;
+      } else {
+        cart.items.push({ product: product._id, variant: variant?._id, quantity });
+      }
     }
+    await cart.save();
 
-    const newOrder = new db.Order({
-      account,
-      items: orderItems,
-      totalAmount,
-      status: "Pending",
-      imageConfirmDelivered: null,
-    });
-
-    await newOrder.save();
-
-    const vnpay = new VNPay({
-      tmnCode: "9TKDVWYK",
-      secureSecret: "LH6SD44ECTBWU1PHK3D2YCOI5HLUWGPH",
-      vnpayHost: "https://sandbox.vnpayment.vn",
-      testMode: true,
-      hashAlgorithm: "SHA512",
-      enableLog: true,
-      loggerFn: ignoreLogger,
-    });
-
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const vnpayResponse = await vnpay.buildPaymentUrl({
-      vnp_Amount: totalAmount,
-      vnp_IpAddr: "127.0.0.1",
-      vnp_TxnRef: newOrder._id.toString(),
-      vnp_OrderInfo: `${newOrder._id}`,
-      vnp_OrderType: ProductCode.Other,
-      vnp_ReturnUrl: "exp://192.168.1.82:8081",
-      vnp_Locale: VnpLocale.VN,
-      vnp_CreateDate: dateFormat(new Date()),
-      vnp_ExpireDate: dateFormat(tomorrow),
-    });
-
-    return res.status(201).json({
-      orderId: newOrder._id,
-      vnpayResponse,
-    });
+    res.status(200).json(await buildCartView(cart));
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/order/confirm-payment/{orderId}:
- *   put:
+ * /api/order/checkout:
+ *   post:
  *     tags:
  *       - Orders
- *     summary: Confirm order payment and finalize order
+ *     summary: Turn the cart of the logged-in account into an order
+ *     description: >
+ *       The cart is emptied once the order has been created. With the "wallet" payment method the
+ *       whole total is taken from the account balance and the order is Paid straight away. With
+ *       "split" the balance pays walletAmount (the whole balance when omitted) and the online
+ *       payment provider the rest. "vnpay" pays everything online, through the configured provider.
+ *       With "cod" nothing is paid now: the order is Confirmed and handed to the shippers, and the
+ *       shipper collects the cash on delivery.
+ *       The order is delivered to shippingAddress when given, else to the saved address addressId,
+ *       else to the default address, and the shipping fee for it is added to the total.
+ *       Migrating from add-to-cart: orders now always need an address. A client that never sent one
+ *       must send shippingAddress, or have the customer save one with /api/addresses first;
+ *       without any address checkout answers 400.
  *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the order to confirm
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: ["vnpay", "wallet", "split", "cod"]
+ *                 default: "vnpay"
+ *               walletAmount:
+ *                 type: number
+ *                 description: Amount to pay from the balance when paymentMethod is "split"
+ *               promotionCode:
+ *                 type: string
+ *                 description: Promotion code to apply to the order
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address to deliver to
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
  *     responses:
- *       200:
- *         description: Payment confirmed and order finalized
+ *       201:
+ *         description: >
+ *           Order created. paymentUrl (and vnpayResponse, kept for older clients) holds the payment
+ *           provider's URL for the amount not paid from the
+ *           balance, or null when the balance paid for everything.
  *       400:
- *         description: Invalid order or payment
+ *         description: >
+ *           The cart is empty, a product is out of stock, the balance is too low, there is no
+ *           shipping address or the promotion code is inactive, expired or used up
+ *       404:
+ *         description: Product or promotion code not found
  *       500:
- *         description: Server error
+ *         description: Internal server error
  */
-orderRoute.put("/confirm-payment/:orderId", authMiddleware, async (req, res) => {
+orderRoute.post("/checkout", authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { orderId } = req.params; // Lấy orderId từ URL params
-    const order = await db.Order.findById(orderId).populate("items.product");
-
-    if (!order) {
-      return res.status(404).json({ message: "Order not found." });
-    }
-
-    if (order.status !== "Pending") {
-      return res.status(400).json({ message: "Order has already been processed." });
-    }
-
-    const account = await db.Account.findById(order.account);
-    if (!account) {
-      return res.status(404).json({ message: "Account not found." });
-    }
+    const cart = await db.Cart.findOne({ account: req.user._id });
 
-    // Reduce product quantities
-    for (const item of order.items) {
-      const product = await db.Product.findById(item.product._id);
-      if (product) {
-        product.quantity -= item.quantity;
-        await product.save();
-      }
-    }
-
-    // Update order status
-    order.status = "Paid";
-    await order.save();
-
-    // Transfer funds to admin account
-    const adminAccount = await db.Account.findOne({ role: "admin" });
-    if (adminAccount) {
-      adminAccount.balance += order.totalAmount;
-      await adminAccount.save();
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: "Your cart is empty." });
     }
 
-    // Send confirmation email
-    const formattedItems = order.items.map((item) => ({
-      productName: item.product?.name || "Unknown Product",
-      quantity: item.quantity,
-      price: item.product?.price || 0,
-      total: item.quantity * item.product?.price || 0,
-    }));
-
-    const emailTemplatePath = path.join(__dirname, "../templates/orderConfirmationTemplate.html");
-    const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
-    const emailTemplate = handlebars.compile(emailTemplateSource);
-    const emailHtml = emailTemplate({
-      orderId: order._id,
-      totalAmount: order.totalAmount,
-      items: formattedItems,
-    });
-
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
+    const { paymentMethod, walletAmount, promotionCode, addressId, shippingAddress } = req.body;
+    const items = cart.items.map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+    const { order, paymentUrl } = await createPendingOrder(req.user._id, items, {
+      paymentMethod,
+      walletAmount,
+      promotionCode,
+      addressId,
+      shippingAddress,
+      ipAddr: getClientIp(req),
     });
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: account.email,
-      subject: "Order Confirmation",
-      html: emailHtml,
-    };
-
-    transporter.sendMail(mailOptions, (error, info) => {
-      if (error) {
-        console.error("Error sending email:", error);
-      } else {
-        console.log("Email sent:", info.response);
-      }
-    });
+    cart.items = [];
+    await cart.save();
 
-    return res.status(200).json({
-      message: "Payment confirmed and order processed.",
+    return res.status(201).json({
       orderId: order._id,
+      status: order.status,
+      subtotal: order.subtotal,
+      discountAmount: order.discountAmount,
+      shippingFee: order.shippingFee,
+      totalAmount: order.totalAmount,
+      walletAmount: order.walletAmount,
+      paymentProvider: order.paymentProvider,
+      paymentUrl,
+      vnpayResponse: paymentUrl,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/order/update-shipping/{orderId}:
- *   patch:
+ * /api/order/reorder/{orderId}:
+ *   post:
  *     tags:
  *       - Orders
- *     summary: Update order status to Shipping
+ *     summary: Buy the products of a past order again
+ *     description: >
+ *       Puts the products of one of your orders back into the cart, or with target "order" places
+ *       a new order for them straight away, at today's prices. Products that were removed, are out
+ *       of stock or have less stock than ordered are listed in issues, each with up to three
+ *       substitutes of the same brand and category; the rest is reordered. A new order is delivered
+ *       to the same address as the past one unless addressId or shippingAddress is sent.
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
  *       - in: path
  *         name: orderId
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: string
+ *                 enum: ["cart", "order"]
+ *                 default: "cart"
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: ["vnpay", "wallet", "split", "cod"]
+ *                 default: "vnpay"
+ *                 description: For target "order", see checkout
+ *               walletAmount:
+ *                 type: number
+ *               promotionCode:
+ *                 type: string
+ *               addressId:
+ *                 type: string
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
  *     responses:
  *       200:
- *         description: Order status updated to Shipping
+ *         description: The updated cart and the issues
+ *       201:
+ *         description: The new order, as from checkout, and the issues
  *       400:
- *         description: Invalid order status
+ *         description: Invalid target, nothing of the order can be bought anymore, or the new order could not be placed
+ *       403:
+ *         description: The order belongs to another account
  *       404:
  *         description: Order not found
  *       500:
- *         description: Server error
+ *         description: Internal server error
  */
-orderRoute.patch("/update-shipping/:orderId", authMiddleware, async (req, res) => {
+orderRoute.post("/reorder/:orderId", authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const order = await db.Order.findById(orderId);
+    const { target = "cart", paymentMethod, walletAmount, promotionCode, addressId, shippingAddress } = req.body;
 
-    if (!order) {
+    if (!["cart", "order"].includes(target)) {
+      return res.status(400).json({ message: 'target must be "cart" or "order".' });
+    }
+    if (!db.mongoose.isValidObjectId(req.params.orderId)) {
       return res.status(404).json({ message: "Order not found." });
     }
 
-    if (order.status !== "Paid") {
-      return res.status(400).json({ message: "Only paid orders can be marked as shipping." });
+    const pastOrder = await db.Order.findById(req.params.orderId);
+    if (!pastOrder) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!pastOrder.account.equals(req.user._id)) {
+      return res.status(403).json({ message: "You can only reorder your own orders." });
     }
 
-    order.status = "Shipping";
-    await order.save();
+    const { lines, issues } = await planReorder(pastOrder);
+    if (lines.length === 0) {
+      return res.status(400).json({ message: "None of the products of this order can be bought anymore.", issues });
+    }
 
-    return res.status(200).json({
-      message: "Order status updated to Shipping.",
+    if (target === "cart") {
+      const cart = await addLinesToCart(req.user._id, lines);
+      return res.status(200).json({ cart: await buildCartView(cart), issues });
+    }
+
+    const previousAddress = pastOrder.shippingAddress?.province ? pastOrder.shippingAddress.toObject() : undefined;
+    const { order, paymentUrl } = await createPendingOrder(req.user._id, lines, {
+      paymentMethod,
+      walletAmount,
+      promotionCode,
+      addressId,
+      shippingAddress: shippingAddress || (addressId ? undefined : previousAddress),
+      ipAddr: getClientIp(req),
+    });
+
+    return res.status(201).json({
       orderId: order._id,
+      status: order.status,
+      subtotal: order.subtotal,
+      discountAmount: order.discountAmount,
+      shippingFee: order.shippingFee,
+      totalAmount: order.totalAmount,
+      walletAmount: order.walletAmount,
+      paymentProvider: order.paymentProvider,
+      paymentUrl,
+      vnpayResponse: paymentUrl,
+      issues,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/order/confirm-delivery/{orderId}:
- *   post:
+ * /api/order/confirm-payment/{orderId}:
+ *   put:
  *     tags:
  *       - Orders
- *     summary: Confirm order delivery with image
+ *     summary: Confirm order payment and finalize order
+ *     description: >
+ *       Manual confirmation by staff. Customer payments are confirmed through the payment provider's callback.
+ *       The customer is emailed a confirmation with the PDF invoice attached.
  *     parameters:
  *       - in: path
  *         name: orderId
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               deliveryImage:
- *                 type: string
- *                 format: binary
+ *         description: The ID of the order to confirm
  *     responses:
  *       200:
- *         description: Delivery confirmed and order status updated
+ *         description: Payment confirmed and order finalized
  *       400:
- *         description: Invalid order status or missing image
- *       404:
- *         description: Order not found
+ *         description: Invalid order or payment
+ *       409:
+ *         description: The stock reservation expired and the products are no longer in stock
+ *       403:
+ *         description: Forbidden, user does not have permission
  *       500:
  *         description: Server error
  */
-orderRoute.post("/confirm-delivery/:orderId", authMiddleware, upload.single("deliveryImage"), async (req, res) => {
+orderRoute.put("/confirm-payment/:orderId", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const { orderId } = req.params; // Lấy orderId từ URL params
     const order = await db.Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({ message: "Order not found." });
     }
 
-    if (order.status !== "Shipping") {
-      return res.status(400).json({ message: "Only shipping orders can be confirmed as delivered." });
+    if (order.status !== "Pending") {
+      return res.status(400).json({ message: "Order has already been processed." });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ message: "Delivery confirmation image is required." });
+    const paidOrder = await markOrderPaid(order._id, {
+      actor: req.user._id,
+      role: req.user.role,
+      note: "Payment confirmed by staff",
+    });
+    if (!paidOrder) {
+      return res.status(400).json({ message: "Order has already been processed." });
     }
 
-    // Save the image path
-    const baseUrl = "https://mma301-project-be.onrender.com";
-    order.imageConfirmDelivered = `${baseUrl}/uploads/deliveryConfirmation/${req.file.filename}`;
-
-    order.status = "Delivered";
-    await order.save();
-
     return res.status(200).json({
-      message: "Order delivery confirmed.",
+      message: "Payment confirmed and order processed.",
       orderId: order._id,
-      imagePath: `https://mma301-project-be.onrender.com${order.imageConfirmDelivered}`,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
 /**
- * @swagger
- * /api/order/account/{id}:
+ * Verify and apply a payment callback of `provider`. Returns the outcome (one
+ * of CALLBACK_RESULTS), the verified callback and the order it refers to.
+ */
+const handlePaymentCallback = async (provider, query) => {
+  const verify = provider.verifyCallback(query);
+  if (!verify.isVerified) {
+    return { result: CALLBACK_RESULTS.INVALID_SIGNATURE, verify, order: null };
+  }
+
+  const order = db.mongoose.isValidObjectId(verify.orderId) ? await db.Order.findById(verify.orderId) : null;
+  // Orders created before providers were recorded were all paid through VNPAY
+  if (!order || (order.paymentProvider || "vnpay") !== provider.name) {
+    return { result: CALLBACK_RESULTS.ORDER_NOT_FOUND, verify, order: null };
+  }
+
+  // The provider is only asked for the part of a split payment not already paid from the balance
+  if (verify.amount !== order.totalAmount - order.walletAmount) {
+    return { result: CALLBACK_RESULTS.INVALID_AMOUNT, verify, order };
+  }
+
+  if (order.status !== "Pending") {
+    return { result: CALLBACK_RESULTS.ALREADY_CONFIRMED, verify, order };
+  }
+
+  // A failed or abandoned payment leaves the order Pending so the customer can pay again
+  if (!verify.isSuccess) {
+    return { result: CALLBACK_RESULTS.SUCCESS, verify, order };
+  }
+
+  const { transactionRef } = verify;
+  let paidOrder;
+  try {
+    paidOrder = await markOrderPaid(order._id, { transactionRef });
+  } catch (error) {
+    if (error.status !== 409) {
+      throw error;
+    }
+    // The reservation expired and the stock was sold in the meantime: the money goes back to the balance
+    const canceledOrder = await cancelUnfulfillableOrder(order._id, { transactionRef });
+    return { result: CALLBACK_RESULTS.SUCCESS, verify, order: canceledOrder || (await db.Order.findById(order._id)) };
+  }
+
+  if (!paidOrder) {
+    return { result: CALLBACK_RESULTS.ALREADY_CONFIRMED, verify, order: await db.Order.findById(order._id) };
+  }
+
+  return { result: CALLBACK_RESULTS.SUCCESS, verify, order: paidOrder };
+};
+
+/**
+ * @swagger
+ * /api/order/payment/{provider}/ipn:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Server to server payment callback
+ *     description: >
+ *       Called by the payment provider with the signed payment result. The signature and the amount
+ *       are checked before the order is marked as Paid. Repeated notifications for the same order
+ *       are answered with "already confirmed" and change nothing. /api/order/vnpay-ipn is the same
+ *       endpoint for the "vnpay" provider.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ["vnpay", "mock"]
+ *     responses:
+ *       200:
+ *         description: The answer the provider expects, e.g. RspCode and Message for VNPAY
+ *       404:
+ *         description: Unknown payment provider
+ */
+orderRoute.get(["/vnpay-ipn", "/payment/:provider/ipn"], async (req, res) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(req.params.provider || "vnpay");
+  } catch (error) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  try {
+    const { result } = await handlePaymentCallback(provider, req.query);
+    return res.status(200).json(provider.callbackResponse(result));
+  } catch (error) {
+    console.error(`Error handling ${provider.name} payment callback:`, error);
+    return res.status(200).json(provider.callbackResponse(CALLBACK_RESULTS.UNKNOWN_ERROR));
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/payment/{provider}/return:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Payment return URL
+ *     description: >
+ *       Receives the signed query string the payment provider appends when it sends the customer
+ *       back to the app. It is verified and applied in the same way as the server callback.
+ *       /api/order/vnpay-return is the same endpoint for the "vnpay" provider.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ["vnpay", "mock"]
+ *     responses:
+ *       200:
+ *         description: Payment result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isSuccess:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 orderId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *       400:
+ *         description: Invalid signature, unknown order or amount mismatch
+ *       404:
+ *         description: Unknown payment provider
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get(["/vnpay-return", "/payment/:provider/return"], async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider || "vnpay");
+    const { result, verify, order } = await handlePaymentCallback(provider, req.query);
+
+    if (result !== CALLBACK_RESULTS.SUCCESS && result !== CALLBACK_RESULTS.ALREADY_CONFIRMED) {
+      return res.status(400).json({ isSuccess: false, message: `Payment could not be applied: ${result}` });
+    }
+
+    return res.status(200).json({
+      isSuccess: order.status === "Paid",
+      message: verify.message,
+      orderId: order._id,
+      status: order.status,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+const SHIPPING_ROLES = ["admin", "shipper"];
+
+// Shippers only move orders they accepted, admins any order
+const canShipOrder = (order, user) =>
+  user.role !== "shipper" || (isAssignedShipper(order, user) && order.shipment.status === "Accepted");
+
+// Keeps a shipper's update from applying when the order was reassigned meanwhile
+const ownShipmentFilter = (user) =>
+  user.role === "shipper" ? { "shipment.shipper": user._id, "shipment.status": "Accepted" } : {};
+
+/**
+ * @swagger
+ * /api/order/update-shipping/{orderId}:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Update order status to Shipping
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated to Shipping
+ *       400:
+ *         description: Invalid order status
+ *       403:
+ *         description: The user's role cannot start shipping orders, or the order is not accepted by this shipper
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/update-shipping/:orderId", authMiddleware, roleMiddleware(SHIPPING_ROLES), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await db.Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canShipOrder(order, req.user)) {
+      return res.status(403).json({ message: "Accept this order before updating it." });
+    }
+
+    const updatedOrder = await transitionOrder(order, "Shipping", {
+      actor: req.user._id,
+      role: req.user.role,
+      filter: ownShipmentFilter(req.user),
+    });
+    if (!updatedOrder) {
+      return res.status(409).json({ message: "The order changed meanwhile, please try again." });
+    }
+
+    return res.status(200).json({
+      message: "Order status updated to Shipping.",
+      orderId: order._id,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/confirm-delivery/{orderId}:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Confirm order delivery with proof of delivery
+ *     description: >
+ *       The shipper sends one to five photos of the delivery, the name of the person who received
+ *       it and optionally their signature, the GPS position and the time of delivery. For a cash on
+ *       delivery order the shipper also records the cash collected from the customer; the order is
+ *       marked paid on delivery.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryImages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               deliveryImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: Single photo, for clients sending one image only
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image of the recipient's signature
+ *               recipientName:
+ *                 type: string
+ *                 description: Who received the order. Optional for older clients, new clients should send it.
+ *               latitude:
+ *                 type: number
+ *                 example: 10.7769
+ *               longitude:
+ *                 type: number
+ *                 example: 106.7009
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the order was handed over, defaults to now
+ *               cashCollected:
+ *                 type: number
+ *                 description: Cash collected from the customer, required for cash on delivery orders
+ *     responses:
+ *       200:
+ *         description: Delivery confirmed and order status updated
+ *       400:
+ *         description: Invalid order status, missing photos, recipient name or collected cash, or invalid GPS position or time
+ *       403:
+ *         description: The user's role cannot confirm deliveries, or the order is not accepted by this shipper
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.post(
+  "/confirm-delivery/:orderId",
+  authMiddleware,
+  roleMiddleware(SHIPPING_ROLES),
+  imageUpload.fields([
+    { name: "deliveryImages", maxCount: MAX_DELIVERY_PHOTOS },
+    { name: "deliveryImage", maxCount: 1 },
+    { name: "signature", maxCount: 1 },
+  ]),
+  async (req, res) => {
+    let savedFiles = [];
+    try {
+      const { orderId } = req.params;
+      const order = await db.Order.findById(orderId);
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found." });
+      }
+      if (!canShipOrder(order, req.user)) {
+        return res.status(403).json({ message: "Accept this order before updating it." });
+      }
+
+      const photoFiles = [...(req.files?.deliveryImages || []), ...(req.files?.deliveryImage || [])];
+      if (photoFiles.length === 0) {
+        return res.status(400).json({ message: "Delivery confirmation image is required." });
+      }
+      if (photoFiles.length > MAX_DELIVERY_PHOTOS) {
+        return res.status(400).json({ message: `At most ${MAX_DELIVERY_PHOTOS} delivery photos can be sent.` });
+      }
+      const { recipientName, location, deliveredAt } = parseDeliveryDetails(req.body);
+
+      const photos = await saveUploadedFiles(photoFiles, "deliveryConfirmation", `delivery-${order._id}`);
+      savedFiles = photos;
+      const [signature] = await saveUploadedFiles(
+        req.files?.signature || [],
+        "deliveryConfirmation",
+        `signature-${order._id}`
+      );
+      if (signature) {
+        savedFiles = [...photos, signature];
+      }
+
+      const delivery = {
+        actor: req.user._id,
+        role: req.user.role,
+        filter: ownShipmentFilter(req.user),
+        update: {
+          imageConfirmDelivered: photos[0].url,
+          proofOfDelivery: { photos, recipientName, signature, location, deliveredAt },
+        },
+      };
+      const deliveredOrder =
+        order.paymentMethod === "cod" && !order.paidAt
+          ? await deliverCodOrder(order, { ...delivery, cashCollected: parseNumber(req.body.cashCollected) })
+          : await transitionOrder(order, "Delivered", delivery);
+      if (!deliveredOrder) {
+        await removeFiles(savedFiles);
+        return res.status(409).json({ message: "The order changed meanwhile, please try again." });
+      }
+
+      return res.status(200).json({
+        message: "Order delivery confirmed.",
+        orderId: order._id,
+        imagePath: deliveredOrder.imageConfirmDelivered,
+        proofOfDelivery: deliveredOrder.proofOfDelivery,
+        cashCollection: deliveredOrder.cashCollection,
+      });
+    } catch (error) {
+      await removeFiles(savedFiles);
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Server error.", error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/order/account/{id}:
  *   get:
  *     tags:
  *       - Orders
@@ -466,6 +1260,11 @@ orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), asy
  *     tags:
  *       - Orders
  *     summary: Add balance to an account
+ *     description: >
+ *       Admin only, the balance can pay for orders. The top-up is recorded in the wallet ledger
+ *       with the admin as actor.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -494,28 +1293,121 @@ orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), asy
  *                   example: "Balance added successfully."
  *       400:
  *         description: Invalid request
+ *       401:
+ *         description: Not logged in
+ *       403:
+ *         description: Forbidden, user does not have permission
  *       404:
  *         description: Account not found
  *       500:
  *         description: Internal server error
  */
-orderRoute.patch("/add-balance", async (req, res) => {
-  try {
-    const { account, amount } = req.body;
+orderRoute.patch(
+  "/add-balance",
+  authMiddleware,
+  roleMiddleware(["admin"]),
+  idempotencyMiddleware,
+  async (req, res) => {
+    try {
+      const { account, amount } = req.body;
+
+      if (!db.mongoose.isValidObjectId(account) || typeof amount !== "number" || amount <= 0) {
+        return res.status(400).json({ message: "Invalid request." });
+      }
 
-    if (!account || !amount || amount <= 0) {
-      return res.status(400).json({ message: "Invalid request." });
+      const accountDetails = await creditBalance(account, amount, { type: "topup", actor: req.user._id });
+      if (!accountDetails) {
+        return res.status(404).json({ message: "Account not found." });
+      }
+
+      res.status(200).json({ message: "Balance added successfully." });
+    } catch (error) {
+      res.status(500).json({ message: "Server error.", error: error.message });
     }
+  }
+);
+
+const STAFF_ROLES = ["admin", "manager"];
+
+// Customers may act on their own orders, staff on any order
+const canManageOrder = (order, user) => STAFF_ROLES.includes(user.role) || order.account.equals(user._id);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefundPreview:
+ *       type: object
+ *       properties:
+ *         allowed:
+ *           type: boolean
+ *           description: False when the refund policy does not allow the cancellation
+ *         reason:
+ *           type: string
+ *           description: Why the cancellation is not allowed
+ *         rule:
+ *           type: string
+ *           description: Label of the refund policy rule that applies
+ *         refundPercent:
+ *           type: number
+ *         baseAmount:
+ *           type: number
+ *           description: The amount the percentage is applied to
+ *         refundAmount:
+ *           type: number
+ */
 
-    const accountDetails = await db.Account.findById(account).select("balance").exec();
-    if (!accountDetails) {
-      return res.status(404).json({ message: "Account not found." });
+/**
+ * @swagger
+ * /api/order/cancel-order/{orderId}/preview:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Preview the refund for canceling an order or one of its items
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         description: Preview canceling only this line item
+ *     responses:
+ *       200:
+ *         description: What the cancellation would refund under the current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundPreview'
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order or item not found
+ *       500:
+ *         description: Internal server error
+ */
+orderRoute.get("/cancel-order/:orderId/preview", authMiddleware, async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canManageOrder(order, req.user)) {
+      return res.status(403).json({ message: "You can only cancel your own orders." });
     }
 
-    accountDetails.balance += amount;
-    await accountDetails.save();
+    let item = null;
+    if (req.query.itemId) {
+      item = order.items.id(req.query.itemId);
+      if (!item || item.status === "Canceled") {
+        return res.status(404).json({ message: "Item not found in this order." });
+      }
+    }
 
-    res.status(200).json({ message: "Balance added successfully." });
+    res.status(200).json(await evaluateRefund(order, item));
   } catch (error) {
     res.status(500).json({ message: "Server error.", error: error.message });
   }
@@ -528,17 +1420,30 @@ orderRoute.patch("/add-balance", async (req, res) => {
  *     tags:
  *       - Orders
  *     summary: Cancel an order by ID
- *     description: Cancel an order and refund 50% of the total amount to the customer's account.
+ *     description: >
+ *       Cancel an order and refund the customer's balance as the refund policy allows, for example
+ *       everything within an hour of payment and half of it before shipping. The refund is taken
+ *       from the store account and the products go back into stock.
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
  *       - in: path
  *         name: orderId
  *         required: true
  *         schema:
  *           type: string
  *         description: The ID of the order to be canceled
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is canceled, stored on the order
  *     responses:
  *       200:
- *         description: Order canceled and 50% refund issued
+ *         description: Order canceled and refund issued
  *         content:
  *           application/json:
  *             schema:
@@ -546,112 +1451,684 @@ orderRoute.patch("/add-balance", async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Order has been canceled and 50% refund issued. Product quantities have been updated in the inventory."
+ *                 rule:
+ *                   type: string
+ *                 refundPercent:
+ *                   type: number
  *                 refundAmount:
  *                   type: number
  *                   description: The amount refunded to the customer's account
+ *       400:
+ *         description: The refund policy does not allow canceling the order
+ *       403:
+ *         description: The order belongs to another customer
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order changed meanwhile or the store balance is too low
  *       500:
  *         description: Internal server error
  */
-orderRoute.post("/cancel-order/:orderId", authMiddleware, async (req, res) => {
+orderRoute.post("/cancel-order/:orderId", authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const order = await db.Order.findById(orderId).populate("items.product");
+    const order = await db.Order.findById(req.params.orderId);
 
     if (!order) {
       return res.status(404).json({ message: "Không tìm thấy đơn hàng" });
     }
+    if (!canManageOrder(order, req.user)) {
+      return res.status(403).json({ message: "You can only cancel your own orders." });
+    }
 
-    if (order.status !== "Paid") {
-      return res.status(400).json({ message: "Only paid orders can be canceled." });
-    } else {
-      const refundAmount = order.totalAmount * 0.5;
-
-      const account = await db.Account.findById(order.account);
-      account.balance += refundAmount;
-      await account.save();
-
-      const adminAccount = await db.Account.findOne({ role: "admin" });
-      if (adminAccount) {
-        adminAccount.balance += refundAmount;
-        await adminAccount.save();
-      }
-
-      for (const item of order.items) {
-        const product = await db.Product.findById(item.product._id);
-        if (product) {
-          product.quantity += item.quantity;
-          await product.save();
-        }
+    const { rule, refundPercent, refundAmount } = await cancelOrder(order, {
+      actor: req.user._id,
+      role: req.user.role,
+      reason: req.body?.reason || "Canceled on request",
+    });
 
-        order.status = "Canceled";
-        await order.save();
-
-        const formattedItems = order.items.map((item) => ({
-          productName: item.product?.name || "Unknown Product",
-          quantity: item.quantity,
-          price: item.product?.price || 0,
-          total: item.quantity * item.product?.price || 0,
-        }));
-        const emailTemplatePath = path.join(__dirname, "../templates/refundTemplate.html");
-        const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
-        const emailTemplate = handlebars.compile(emailTemplateSource);
-        const emailHtml = emailTemplate({ orderId, refundAmount, items: formattedItems });
-
-        const transporter = nodemailer.createTransport({
-          service: "gmail",
-          auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
-        });
+    return res.status(200).json({
+      message: `Đơn hàng đã được hủy và hoàn tiền ${refundPercent}%. Số lượng sản phẩm đã được cập nhật vào kho.`,
+      rule,
+      refundPercent,
+      refundAmount,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Lỗi máy chủ", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/cancel-order/{orderId}/items/{itemId}:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Cancel a single item of a paid order
+ *     description: >
+ *       Refunds the line total of the item as the refund policy allows and puts it back into stock.
+ *       Canceling the last remaining item cancels the whole order.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyHeader'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the line item
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item canceled and refund issued
+ *       400:
+ *         description: The order is not paid or the refund policy does not allow it
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order or item not found
+ *       409:
+ *         description: The order changed meanwhile or the store balance is too low
+ *       500:
+ *         description: Internal server error
+ */
+orderRoute.post("/cancel-order/:orderId/items/:itemId", authMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
 
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: account.email,
-          subject: "Xác nhận hoàn tiền đơn hàng",
-          html: emailHtml,
-        };
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canManageOrder(order, req.user)) {
+      return res.status(403).json({ message: "You can only cancel your own orders." });
+    }
 
-        transporter.sendMail(mailOptions, (error, info) => {
-          if (error) console.error("Lỗi gửi email:", error);
-          else console.log("Email sent:", info.response);
-        });
+    const result = await cancelOrderItem(order, req.params.itemId, {
+      actor: req.user._id,
+      role: req.user.role,
+      reason: req.body?.reason,
+    });
 
-        return res.status(200).json({
-          message: "Đơn hàng đã được hủy và hoàn tiền 50%. Số lượng sản phẩm đã được cập nhật vào kho.",
-          refundAmount,
-        });
-      }
+    return res.status(200).json({
+      message: result.order.status === "Canceled" ? "Order canceled." : "Item canceled.",
+      orderStatus: result.order.status,
+      rule: result.rule,
+      refundPercent: result.refundPercent,
+      refundAmount: result.refundAmount,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/return/{orderId}:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Request a return for a delivered order
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               returnImages:
+ *                 type: array
+ *                 description: Up to 5 photos of the products
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *             required:
+ *               - reason
+ *     responses:
+ *       200:
+ *         description: Return requested, waiting for a manager to review it
+ *       400:
+ *         description: Missing reason or the order is not delivered
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.post("/return/:orderId", authMiddleware, imageUpload.array("returnImages", 5), async (req, res) => {
+  let images = [];
+  try {
+    const { reason } = req.body;
+    const order = await db.Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!order.account.equals(req.user._id)) {
+      return res.status(403).json({ message: "You can only return your own orders." });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "A reason for the return is required." });
+    }
+
+    images = await saveUploadedFiles(req.files || [], "returns", `return-${order._id}`);
+    const requestedOrder = await transitionOrder(order, "ReturnRequested", {
+      actor: req.user._id,
+      role: req.user.role,
+      note: reason,
+      update: {
+        returnRequest: {
+          reason,
+          images: images.map((image) => image.url),
+          requestedAt: new Date(),
+        },
+      },
+    });
+    if (!requestedOrder) {
+      await removeFiles(images);
+      return res.status(409).json({ message: "The order changed meanwhile, please try again." });
+    }
+
+    res.status(200).json({
+      message: "Return requested.",
+      orderId: order._id,
+      returnRequest: requestedOrder.returnRequest,
+    });
   } catch (error) {
-    res.status(500).json({ message: "Lỗi máy chủ", error: error.message });
+    await removeFiles(images);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/order/shipper-orders:
+ * /api/order/returns:
  *   get:
  *     tags:
  *       - Orders
- *     summary: Get orders for shipper (Paid, Shipping, Delivered)
+ *     summary: Get the return requests queue
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["ReturnRequested", "Returned", "ReturnRejected"]
+ *           default: ReturnRequested
  *     responses:
  *       200:
- *         description: List of orders for shipper
+ *         description: Orders with a return in the given status, oldest request first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Forbidden, user does not have permission
  *       500:
  *         description: Server error
  */
-orderRoute.get("/shipper-orders", authMiddleware, roleMiddleware(["admin", "shipper"]), async (req, res) => {
+orderRoute.get("/returns", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const status = req.query.status || "ReturnRequested";
+    if (!["ReturnRequested", "Returned", "ReturnRejected"].includes(status)) {
+      return res.status(400).json({ message: "Invalid return status." });
+    }
+
+    const orders = await db.Order.find({ status })
+      .populate("account", "email phone")
+      .sort({ "returnRequest.requestedAt": 1 });
+
+    res.status(200).json(orders);
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/return/{orderId}/approve:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Approve a return request
+ *     description: >
+ *       Refunds the items that were not canceled earlier to the customer's balance, taken from the
+ *       store account; the shipping fee is not refunded. The products only go back into stock when
+ *       they are marked resellable.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resellable:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Return approved and refund issued
+ *       400:
+ *         description: The order has no pending return request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The return was reviewed meanwhile or the store balance is too low
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/return/:orderId/approve", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    const result = await approveReturn(order, {
+      actor: req.user._id,
+      role: req.user.role,
+      resellable: req.body.resellable === true,
+    });
+
+    res.status(200).json({
+      message: "Return approved.",
+      orderId: order._id,
+      refundAmount: result.refundAmount,
+      resellable: result.order.returnRequest.resellable,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/return/{orderId}/reject:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Reject a return request
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *             required:
+ *               - reason
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order has no pending return request
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/return/:orderId/reject", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: "A reason for rejecting the return is required." });
+    }
+
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    await rejectReturn(order, { actor: req.user._id, role: req.user.role, reason });
+
+    res.status(200).json({ message: "Return rejected.", orderId: order._id });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/assign-shipper/{orderId}:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Assign or reassign an order to a shipper
+ *     description: Works for Confirmed (cash on delivery), Paid and Shipping orders. The shipper has to accept the order before they can update it.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shipperId:
+ *                 type: string
+ *             required:
+ *               - shipperId
+ *     responses:
+ *       200:
+ *         description: Order assigned to the shipper
+ *       400:
+ *         description: Invalid shipper ID or the order cannot be assigned in its status
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order or active shipper not found
+ *       409:
+ *         description: The order changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/assign-shipper/:orderId", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    const assignedOrder = await assignShipper(order, req.body.shipperId, { actor: req.user._id });
+
+    res.status(200).json({
+      message: "Order assigned to the shipper.",
+      orderId: assignedOrder._id,
+      shipment: assignedOrder.shipment,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/accept-shipment/{orderId}:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Accept an order assigned to the current shipper
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order accepted
+ *       400:
+ *         description: The assignment was already answered
+ *       403:
+ *         description: The order is not assigned to this shipper
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was reassigned meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/accept-shipment/:orderId", authMiddleware, roleMiddleware(["shipper"]), async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    const updatedOrder = await respondToAssignment(order, req.user, { accept: true });
+
+    res.status(200).json({ message: "Order accepted.", orderId: updatedOrder._id, shipment: updatedOrder.shipment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/decline-shipment/{orderId}:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Decline an order assigned to the current shipper
+ *     description: The order goes back to the managers to be assigned to another shipper.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order declined
+ *       400:
+ *         description: The assignment was already answered
+ *       403:
+ *         description: The order is not assigned to this shipper
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was reassigned meanwhile
+ *       500:
+ *         description: Server error
+ */
+orderRoute.patch("/decline-shipment/:orderId", authMiddleware, roleMiddleware(["shipper"]), async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    const updatedOrder = await respondToAssignment(order, req.user, { accept: false, reason: req.body?.reason });
+
+    res.status(200).json({ message: "Order declined.", orderId: updatedOrder._id, shipment: updatedOrder.shipment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/shipper-workload:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get the number of orders each shipper is handling
+ *     responses:
+ *       200:
+ *         description: Order counts per shipper account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   shipper:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       status:
+ *                         type: boolean
+ *                   awaitingAcceptance:
+ *                     type: number
+ *                   readyForPickup:
+ *                     type: number
+ *                     description: Accepted orders that are not shipping yet
+ *                   shipping:
+ *                     type: number
+ *                   delivered:
+ *                     type: number
+ *                   declined:
+ *                     type: number
+ *                   open:
+ *                     type: number
+ *                     description: Orders assigned to the shipper that are not delivered yet
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/shipper-workload", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    res.status(200).json(await getShipperWorkload());
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/unassigned-orders:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get Paid and Confirmed (cash on delivery) orders that have no shipper or were declined
+ *     responses:
+ *       200:
+ *         description: Orders waiting for a shipper, oldest first
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/unassigned-orders", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
   try {
     const orders = await db.Order.find({
-      status: { $in: ["Paid", "Shipping", "Delivered"] },
+      status: { $in: ["Confirmed", "Paid"] },
+      $or: [{ "shipment.shipper": { $exists: false } }, { "shipment.status": "Declined" }],
     })
-      .populate({
-        path: "items.product",
-        select: "name price", // Only select necessary product details
-      })
+      .populate("shipment.shipper", "email username")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json(orders);
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/shipper-orders:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get orders for shipper (Confirmed, Paid, Shipping, Delivered)
+ *     description: >
+ *       Shippers get the orders assigned to them that they have not declined. Staff get every
+ *       order and can narrow it down to one shipper.
+ *     parameters:
+ *       - in: query
+ *         name: shipperId
+ *         schema:
+ *           type: string
+ *         description: Staff only, the shipper whose orders to list
+ *     responses:
+ *       200:
+ *         description: List of orders for shipper
+ *       400:
+ *         description: Invalid shipper ID
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/shipper-orders", authMiddleware, roleMiddleware(["admin", "manager", "shipper"]), async (req, res) => {
+  try {
+    const filter = { status: { $in: ["Confirmed", "Paid", "Shipping", "Delivered"] } };
+    if (req.user.role === "shipper") {
+      filter["shipment.shipper"] = req.user._id;
+      filter["shipment.status"] = { $in: ["Assigned", "Accepted"] };
+    } else if (req.query.shipperId) {
+      if (!db.mongoose.isValidObjectId(req.query.shipperId)) {
+        return res.status(400).json({ message: "Invalid shipper ID." });
+      }
+      filter["shipment.shipper"] = req.query.shipperId;
+    }
+
+    const orders = await db.Order.find(filter)
       .sort({
-        status: 1, // Sort by status, Paid will come first
+        status: 1, // Sort by status, Confirmed and Paid will come first
         createdAt: -1, // Then by most recent
       });
 
@@ -661,4 +2138,299 @@ orderRoute.get("/shipper-orders", authMiddleware, roleMiddleware(["admin", "ship
   }
 });
 
+const ORDER_SORT_FIELDS = ["createdAt", "paidAt", "totalAmount", "status"];
+
+const ORDER_FILTER_PARAMS = ["status", "from", "to", "minAmount", "maxAmount", "product", "customer"];
+
+/**
+ * Build the order query of the staff order list from its query parameters.
+ * Returns null when the customer filter matches no account, so the caller can
+ * answer with an empty page without querying orders. Throws a 400 http error
+ * for an invalid filter, including one repeated in the query string (Express
+ * then parses it as an array).
+ */
+const buildOrderFilter = async (query) => {
+  const repeated = ORDER_FILTER_PARAMS.filter((name) => query[name] !== undefined && typeof query[name] !== "string");
+  if (repeated.length > 0) {
+    throw createError(400, `Send ${repeated.join(", ")} once, separate several statuses with commas.`);
+  }
+
+  const filter = {};
+
+  if (query.status) {
+    const statuses = query.status.split(",").map((status) => status.trim());
+    const invalid = statuses.filter((status) => !db.Order.schema.path("status").enumValues.includes(status));
+    if (invalid.length > 0) {
+      throw createError(400, `Invalid status: ${invalid.join(", ")}`);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if ((query.from && !from) || (query.to && !to)) {
+    throw createError(400, "from and to must be dates.");
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const minAmount = parseNumber(query.minAmount);
+  const maxAmount = parseNumber(query.maxAmount);
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.totalAmount = {};
+    if (minAmount !== undefined) filter.totalAmount.$gte = minAmount;
+    if (maxAmount !== undefined) filter.totalAmount.$lte = maxAmount;
+  }
+
+  if (query.product) {
+    filter["items.product"] = db.mongoose.isValidObjectId(query.product)
+      ? query.product
+      : { $in: await db.Product.find({ name: new RegExp(escapeRegex(query.product), "i") }).distinct("_id") };
+  }
+
+  if (query.customer) {
+    const pattern = new RegExp(escapeRegex(query.customer.trim()), "i");
+    const accountIds = await db.Account.find({ $or: [{ email: pattern }, { phone: pattern }] }).distinct("_id");
+    if (accountIds.length === 0) {
+      return null;
+    }
+    filter.account = { $in: accountIds };
+  }
+
+  return filter;
+};
+
+/**
+ * @swagger
+ * /api/order:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Browse all orders
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or several separated by commas, e.g. "Paid,Shipping"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders created at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders created at or before this time
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Part of the customer's email or phone number
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: A product ID, or part of a product name
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: ["createdAt", "paidAt", "totalAmount", "status"]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: ["asc", "desc"]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: One page of matching orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const sortBy = ORDER_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : "createdAt";
+    const direction = req.query.order === "asc" ? 1 : -1;
+
+    const filter = await buildOrderFilter(req.query);
+    if (!filter) {
+      return res.status(200).json({ total: 0, page, limit, orders: [] });
+    }
+
+    const [total, orders] = await Promise.all([
+      db.Order.countDocuments(filter),
+      db.Order.find(filter)
+        .populate("account", "email phone username")
+        .sort({ [sortBy]: direction, _id: direction })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    res.status(200).json({ total, page, limit, orders });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/{id}:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get one order
+ *     description: >
+ *       Available to the customer who placed the order, to staff and to the shipper it is assigned
+ *       to. Products, the customer, the shipper and the accounts in the status history are populated.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const order = db.mongoose.isValidObjectId(req.params.id) ? await db.Order.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canManageOrder(order, req.user) && !isAssignedShipper(order, req.user)) {
+      return res.status(403).json({ message: "You can only view your own orders." });
+    }
+
+    await order.populate([
+      { path: "items.product", select: "name image price isDeleted" },
+      { path: "account", select: "email phone username" },
+      { path: "shipment.shipper", select: "email phone username" },
+      { path: "statusHistory.actor", select: "email username role" },
+    ]);
+
+    res.status(200).json(order);
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/{id}/invoice:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Download the PDF invoice of a paid order
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: The order has not been paid
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+orderRoute.get("/:id/invoice", authMiddleware, async (req, res) => {
+  try {
+    const order = db.mongoose.isValidObjectId(req.params.id) ? await db.Order.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canManageOrder(order, req.user)) {
+      return res.status(403).json({ message: "You can only view your own orders." });
+    }
+    if (!canInvoice(order)) {
+      return res.status(400).json({ message: "Invoices are only available for paid orders." });
+    }
+
+    await order.populate([
+      { path: "items.product", select: "name price" },
+      { path: "account", select: "email username phone" },
+    ]);
+    const invoice = await buildInvoicePdf(order);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${getInvoiceNumber(order)}.pdf"`);
+    res.status(200).send(invoice);
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
 module.exports = orderRoute;
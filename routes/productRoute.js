@@ -1,11 +1,30 @@
 const express = require("express");
+const createError = require("http-errors");
 const db = require("../models/index");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const optionalAuthMiddleware = require("../middleware/optionalAuthMiddleware");
 const { create } = require("../models/account.model");
+const { searchProducts } = require("../utils/productSearch");
+const { MAX_PRODUCT_IMAGES, saveProductImages, removeProductImages } = require("../utils/productImages");
+const { imageUpload } = require("../utils/upload");
+const { getPagination, escapeRegex } = require("../utils/query");
+const { parseIngredients, getAllergies, getAllergyWarnings } = require("../utils/ingredients");
 
 const productRoute = express.Router();
 
+// Multipart forms send the variants as a JSON string
+const parseVariants = (variants) => {
+  if (typeof variants !== "string") {
+    return variants;
+  }
+  try {
+    return JSON.parse(variants);
+  } catch (error) {
+    throw createError(400, "variants must be a JSON array.");
+  }
+};
+
 /**
  * @swagger
  * tags:
@@ -13,31 +32,244 @@ const productRoute = express.Router();
  *   description: API for products
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *           description: Ignored when variants are given, the stock is then the total of the variants
+ *         price:
+ *           type: number
+ *           description: Ignored when variants are given, the price is then the lowest variant price
+ *         suitableSkin:
+ *           type: string
+ *         image:
+ *           type: string
+ *           description: Image URL, only needed without uploaded images. The cover image is used otherwise.
+ *         weight:
+ *           type: number
+ *           description: Shipping weight in grams
+ *         category:
+ *           type: string
+ *         brand:
+ *           type: string
+ *         variants:
+ *           type: array
+ *           description: Sizes the product is sold in. Send the _id of existing variants to keep them.
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         ingredients:
+ *           type: array
+ *           description: Ingredient IDs in the order of the label
+ *           items:
+ *             type: string
+ */
+
 /**
  * @swagger
  * /api/products:
  *   get:
  *     tags:
  *       - Products
- *     summary: Get all products
+ *     summary: Search, filter and sort products
+ *     description: >
+ *       Deleted products are never listed. Every product comes with its averageRating,
+ *       ratingCount and soldCount. A text search is ordered by relevance unless sortBy is given,
+ *       otherwise the newest products come first. For a logged-in customer with saved allergies
+ *       every product also has allergyWarnings.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Words to look for in the name and description
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID, or several separated by commas
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Brand ID, or several separated by commas
+ *       - in: query
+ *         name: suitableSkin
+ *         schema:
+ *           type: string
+ *         description: Skin type ID, or several separated by commas
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Products with variants match when one of their sizes is in the price range
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: excludeIngredients
+ *         schema:
+ *           type: string
+ *         description: Ingredient IDs separated by commas, products containing one of them are left out
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: true for products in stock only, false for sold out ones only
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: ["price", "newest", "rating", "bestSelling"]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: ["asc", "desc"]
+ *         description: Defaults to asc for price and desc for the others
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Successful response
+ *         description: One page of products and the number of products matching
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           averageRating:
+ *                             type: number
+ *                           ratingCount:
+ *                             type: integer
+ *                           soldCount:
+ *                             type: integer
+ *                           priceRange:
+ *                             type: object
+ *                             description: Lowest and highest variant price, the price twice without variants
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                           allergyWarnings:
+ *                             type: array
+ *                             description: IDs of the ingredients of the product the customer is allergic to
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Invalid filter or sort, or a query parameter sent more than once
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.get("/", optionalAuthMiddleware, async (req, res) => {
+  try {
+    const allergies = req.user ? await getAllergies(req.user._id) : [];
+    res.status(200).json(await searchProducts(req.query, { allergies }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: List deleted products
+ *     description: Most recently deleted first. Deleted products can be restored.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the product name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: One page of deleted products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
  *       403:
  *         description: Forbidden, user does not have permission
  *       500:
  *         description: Internal server error
  */
-productRoute.get("/", async (req, res) => {
+productRoute.get("/trash", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const products = await db.Product.find();
-    res.status(200).json(products);
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = { isDeleted: true };
+    if (req.query.q) {
+      filter.name = new RegExp(escapeRegex(req.query.q), "i");
+    }
+
+    const [total, products] = await Promise.all([
+      db.Product.countDocuments(filter),
+      db.Product.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("deletedBy", "email username"),
+    ]);
+
+    res.status(200).json({ total, page, limit, products });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -50,6 +282,10 @@ productRoute.get("/", async (req, res) => {
  *     tags:
  *       - Products
  *     summary: Get product by ID
+ *     description: >
+ *       Deleted products are only returned to admins and managers, with isDeleted and deletedAt set;
+ *       everyone else gets a 404. Orders keep their own copy of the name, image and price.
+ *       The ingredients are populated, for a logged-in customer allergyWarnings lists the ones they are allergic to.
  *     parameters:
  *       - in: path
  *         name: id
@@ -65,21 +301,26 @@ productRoute.get("/", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       404:
- *         description: Product not found
+ *         description: Product not found or deleted
  *       500:
  *         description: Internal server error
  */
-productRoute.get("/:id", async (req, res) => {
+productRoute.get("/:id", optionalAuthMiddleware, async (req, res) => {
   const productId = req.params.id;
 
   try {
-    const product = await db.Product.findById(productId);
+    const product = await db.Product.findById(productId).populate("ingredients");
 
-    if (!product) {
+    // Staff can still open a deleted product, e.g. from the trash, to restore it
+    if (!product || (product.isDeleted && !["admin", "manager"].includes(req.user?.role))) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    res.status(200).json(product);
+    if (!req.user) {
+      return res.status(200).json(product);
+    }
+    const allergyWarnings = getAllergyWarnings(product, await getAllergies(req.user._id));
+    res.status(200).json({ ...product.toJSON(), allergyWarnings });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -92,29 +333,31 @@ productRoute.get("/:id", async (req, res) => {
  *     tags:
  *       - Products
  *     summary: Create a new product
+ *     description: Uploaded images are stored with a medium and thumbnail size, the first one is the cover.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               quantity:
- *                 type: number
- *               price:
- *                 type: number
- *               suitableSkin:
- *                 type: string
- *               image:
- *                 type: string
- *               category:
- *                 type: string
- *               brand:
- *                 type: string
+ *             $ref: '#/components/schemas/ProductInput'
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProductInput'
+ *               - type: object
+ *                 properties:
+ *                   variants:
+ *                     type: string
+ *                     description: The variants as a JSON array
+ *                   ingredients:
+ *                     type: string
+ *                     description: Ingredient IDs as a JSON array or separated by commas
+ *                   images:
+ *                     type: array
+ *                     description: Up to 10 images, a medium and thumbnail size is made of each
+ *                     items:
+ *                       type: string
+ *                       format: binary
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -125,26 +368,43 @@ productRoute.get("/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
-  const product = new db.Product({
-    name: req.body.name,
-    description: req.body.description,
-    quantity: req.body.quantity,
-    price: req.body.price,
-    suitableSkin: req.body.suitableSkin,
-    image: req.body.image,
-    category: req.body.category,
-    brand: req.body.brand,
-    createBy: req.user._id,
-  });
+productRoute.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  imageUpload.array("images", MAX_PRODUCT_IMAGES),
+  async (req, res) => {
+    let images = [];
 
-  try {
-    const newProduct = await product.save();
-    res.status(201).json(newProduct);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    try {
+      const product = new db.Product({
+        name: req.body.name,
+        description: req.body.description,
+        quantity: req.body.quantity,
+        price: req.body.price,
+        suitableSkin: req.body.suitableSkin,
+        image: req.body.image,
+        weight: req.body.weight,
+        category: req.body.category,
+        brand: req.body.brand,
+        variants: parseVariants(req.body.variants),
+        createBy: req.user._id,
+      });
+      if (req.body.ingredients !== undefined) {
+        product.ingredients = await parseIngredients(req.body.ingredients);
+      }
+
+      images = await saveProductImages(product._id, req.files || []);
+      product.images = images;
+
+      const newProduct = await product.save();
+      res.status(201).json(newProduct);
+    } catch (error) {
+      await removeProductImages(images);
+      res.status(error.status || 400).json({ message: error.message });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -153,6 +413,7 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *     tags:
  *       - Products
  *     summary: Update a product
+ *     description: Uploaded images are added after the product's current images.
  *     parameters:
  *       - in: path
  *         name: id
@@ -165,24 +426,25 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               quantity:
- *                 type: number
- *               price:
- *                 type: number
- *               suitableSkin:
- *                 type: string
- *               image:
- *                 type: string
- *               category:
- *                 type: string
- *               brand:
- *                 type: string
+ *             $ref: '#/components/schemas/ProductInput'
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProductInput'
+ *               - type: object
+ *                 properties:
+ *                   variants:
+ *                     type: string
+ *                     description: The variants as a JSON array
+ *                   ingredients:
+ *                     type: string
+ *                     description: Ingredient IDs as a JSON array or separated by commas
+ *                   images:
+ *                     type: array
+ *                     description: Up to 10 images, a medium and thumbnail size is made of each
+ *                     items:
+ *                       type: string
+ *                       format: binary
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -193,34 +455,62 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *       500:
  *         description: Internal server error
  */
-productRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
-  const productId = req.params.id;
+productRoute.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  imageUpload.array("images", MAX_PRODUCT_IMAGES),
+  async (req, res) => {
+    const productId = req.params.id;
+    const files = req.files || [];
+    let images = [];
 
-  try {
-    const updatedProduct = await db.Product.findByIdAndUpdate(
-      productId,
-      {
-        name: req.body.name,
-        description: req.body.description,
-        quantity: req.body.quantity,
-        price: req.body.price,
-        suitableSkin: req.body.suitableSkin,
-        image: req.body.image,
-        category: req.body.category,
-        brand: req.body.brand,
-      },
-      { new: true }
-    );
+    try {
+      const product = await db.Product.findById(productId);
 
-    if (!updatedProduct) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_IMAGES} images.` });
+      }
 
-    res.status(200).json(updatedProduct);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+      // Saved as a document so the price and stock of a product with variants are worked out again
+      const fields = [
+        "name",
+        "description",
+        "quantity",
+        "price",
+        "suitableSkin",
+        "image",
+        "weight",
+        "category",
+        "brand",
+      ];
+      for (const field of fields) {
+        if (req.body[field] !== undefined) {
+          product.set(field, req.body[field]);
+        }
+      }
+      if (req.body.variants !== undefined) {
+        product.set("variants", parseVariants(req.body.variants));
+      }
+      if (req.body.ingredients !== undefined) {
+        product.set("ingredients", await parseIngredients(req.body.ingredients));
+      }
+
+      images = await saveProductImages(product._id, files);
+      product.images.push(...images);
+
+      const updatedProduct = await product.save();
+
+      res.status(200).json(updatedProduct);
+    } catch (error) {
+      await removeProductImages(images);
+      res.status(error.status || 400).json({ message: error.message });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -228,7 +518,10 @@ productRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), a
  *   delete:
  *     tags:
  *       - Products
- *     summary: Delete a product
+ *     summary: Move a product to the trash
+ *     description: >
+ *       The product is hidden from the product listing and can no longer be bought, but it still
+ *       shows in orders and feedback and can be restored. Its images are kept.
  *     parameters:
  *       - in: path
  *         name: id
@@ -241,6 +534,8 @@ productRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), a
  *         description: Product deleted successfully
  *       400:
  *         description: Bad request
+ *       404:
+ *         description: Product not found or already deleted
  *       403:
  *         description: Forbidden, user does not have permission
  *       500:
@@ -250,7 +545,11 @@ productRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"])
   const productId = req.params.id;
 
   try {
-    const deletedProduct = await db.Product.findByIdAndDelete(productId);
+    const deletedProduct = await db.Product.findOneAndUpdate(
+      { _id: productId, isDeleted: { $ne: true } },
+      { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
 
     if (!deletedProduct) {
       return res.status(404).json({ message: "Product not found" });
@@ -262,4 +561,245 @@ productRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"])
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   patch:
+ *     tags:
+ *       - Products
+ *     summary: Restore a deleted product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: The restored product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: No deleted product with this ID
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.patch("/:id/restore", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: true },
+      { isDeleted: false, $unset: { deletedAt: 1, deletedBy: 1 } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: "Deleted product not found" });
+    }
+
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images/order:
+ *   put:
+ *     tags:
+ *       - Products
+ *     summary: Reorder the images of a product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: The IDs of all images of the product in their new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The product with its images reordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: imageIds does not list every image of the product exactly once
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.put("/:id/images/order", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const { imageIds } = req.body;
+    const images = Array.isArray(imageIds) ? imageIds.map((imageId) => product.images.id(imageId)) : [];
+    if (
+      images.length !== product.images.length ||
+      images.some((image) => !image) ||
+      new Set(images).size !== images.length
+    ) {
+      return res.status(400).json({ message: "imageIds must list every image of the product exactly once." });
+    }
+
+    product.images = images.map((image) => image.toObject());
+    res.status(200).json(await product.save());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}/cover:
+ *   patch:
+ *     tags:
+ *       - Products
+ *     summary: Make an image the cover of its product
+ *     description: The medium size of the cover becomes the product's image.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The product with its new cover
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.patch(
+  "/:id/images/:imageId/cover",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  async (req, res) => {
+    try {
+      const product = await db.Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const cover = product.images.id(req.params.imageId);
+      if (!cover) {
+        return res.status(404).json({ message: "Image not found" });
+      }
+
+      product.images.forEach((image) => {
+        image.isCover = image === cover;
+      });
+      res.status(200).json(await product.save());
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   delete:
+ *     tags:
+ *       - Products
+ *     summary: Remove an image from a product
+ *     description: >
+ *       All sizes of the image are removed from storage. When it was the cover the first remaining
+ *       image becomes the cover. The last image can only be removed when the product has an image URL of its own.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The product without the image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The product would be left without an image
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.delete("/:id/images/:imageId", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    if (product.images.length === 1 && product.image === image.medium.url) {
+      return res
+        .status(400)
+        .json({ message: "A product needs an image, upload another one before removing this one." });
+    }
+
+    product.images.pull(image._id);
+    const updatedProduct = await product.save();
+
+    await removeProductImages([image]);
+
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = productRoute;
@@ -1,7 +1,25 @@
 const express = require("express");
 const Promotion = require("../models/promotion.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
 const router = express.Router();
 
+// usedCount is only changed by orders redeeming and releasing the code, see utils/promotion
+const PROMOTION_FIELDS = [
+  "code",
+  "discount",
+  "discountType",
+  "usageLimit",
+  "usageLimitPerCustomer",
+  "expiredAt",
+  "status",
+];
+
+const pickPromotionFields = (body) =>
+  Object.fromEntries(
+    PROMOTION_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+
 /**
  * @swagger
  * tags:
@@ -94,10 +112,19 @@ router.get("/:id", async (req, res) => {
  *                 type: number
  *                 description: Giá trị giảm giá.
  *                 example: 20
- *               createBy:
+ *               discountType:
  *                 type: string
- *                 description: ID của tài khoản tạo chương trình khuyến mãi.
- *                 example: "64f8a6d123abc4567e891011"
+ *                 enum: ["percent", "fixed"]
+ *                 description: Giảm theo phần trăm hoặc theo số tiền cố định.
+ *                 example: "percent"
+ *               usageLimit:
+ *                 type: number
+ *                 description: Tổng số đơn hàng được dùng mã, để trống nếu không giới hạn.
+ *                 example: 100
+ *               usageLimitPerCustomer:
+ *                 type: number
+ *                 description: Số đơn hàng mỗi khách hàng được dùng mã, để trống nếu không giới hạn.
+ *                 example: 1
  *               expiredAt:
  *                 type: string
  *                 format: date-time
@@ -116,12 +143,16 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Promotion'
  *       400:
  *         description: Dữ liệu đầu vào không hợp lệ.
+ *       401:
+ *         description: Chưa đăng nhập.
+ *       403:
+ *         description: Chỉ admin và manager được tạo chương trình khuyến mãi.
  *       500:
  *         description: Lỗi server.
  */
-router.post("/", async (req, res) => {
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const promotion = new Promotion(req.body);
+    const promotion = new Promotion({ ...pickPromotionFields(req.body), createBy: req.user._id });
     const savedPromotion = await promotion.save();
     res.status(201).json(savedPromotion);
   } catch (error) {
@@ -157,10 +188,16 @@ router.post("/", async (req, res) => {
  *                 type: number
  *                 description: Giá trị giảm giá.
  *                 example: 25
- *               createBy:
+ *               discountType:
  *                 type: string
- *                 description: ID của tài khoản tạo chương trình khuyến mãi.
- *                 example: "64f8a6d123abc4567e891011"
+ *                 enum: ["percent", "fixed"]
+ *                 description: Giảm theo phần trăm hoặc theo số tiền cố định.
+ *               usageLimit:
+ *                 type: number
+ *                 description: Tổng số đơn hàng được dùng mã.
+ *               usageLimitPerCustomer:
+ *                 type: number
+ *                 description: Số đơn hàng mỗi khách hàng được dùng mã.
  *               expiredAt:
  *                 type: string
  *                 format: date-time
@@ -177,14 +214,21 @@ router.post("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Chưa đăng nhập.
+ *       403:
+ *         description: Chỉ admin và manager được cập nhật chương trình khuyến mãi.
  *       404:
  *         description: Chương trình khuyến mãi không tồn tại.
  *       500:
  *         description: Lỗi server.
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const updatedPromotion = await Promotion.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const updatedPromotion = await Promotion.findByIdAndUpdate(req.params.id, pickPromotionFields(req.body), {
+      new: true,
+      runValidators: true,
+    });
     if (!updatedPromotion) {
       return res.status(404).json({ message: "Promotion not found" });
     }
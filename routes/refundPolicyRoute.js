@@ -0,0 +1,124 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getRefundRules } = require("../utils/refundPolicy");
+
+const refundPolicyRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refund Policy
+ *   description: Rules that decide how much a canceled order refunds
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefundRule:
+ *       type: object
+ *       properties:
+ *         label:
+ *           type: string
+ *           example: "Within one hour of payment"
+ *         statuses:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ["Pending", "Paid", "Shipping"]
+ *           description: Order statuses the rule applies to
+ *         maxMinutesSincePaid:
+ *           type: number
+ *           nullable: true
+ *           description: Only applies up to this many minutes after payment, any time when null
+ *           example: 60
+ *         refundPercent:
+ *           type: number
+ *           example: 100
+ *       required:
+ *         - statuses
+ *         - refundPercent
+ */
+
+/**
+ * @swagger
+ * /api/refund-policy:
+ *   get:
+ *     tags:
+ *       - Refund Policy
+ *     summary: Get the current refund rules
+ *     description: Rules are checked in order and the first match decides the refund. Orders matching no rule cannot be canceled.
+ *     responses:
+ *       200:
+ *         description: The refund rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RefundRule'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+refundPolicyRoute.get("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    res.status(200).json({ rules: await getRefundRules() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/refund-policy:
+ *   put:
+ *     tags:
+ *       - Refund Policy
+ *     summary: Replace the refund rules
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RefundRule'
+ *     responses:
+ *       200:
+ *         description: The saved refund rules
+ *       400:
+ *         description: Invalid rules
+ *       403:
+ *         description: Forbidden, user does not have permission
+ */
+refundPolicyRoute.put("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return res.status(400).json({ message: "At least one rule is required." });
+    }
+
+    const policy = await db.RefundPolicy.findOneAndUpdate(
+      {},
+      { rules, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({ rules: policy.rules });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = refundPolicyRoute;
@@ -0,0 +1,182 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getShippingZones, calculateShippingFee } = require("../utils/shipping");
+
+const shippingRateRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping Rates
+ *   description: Zone and weight table the shipping fee of an order is calculated from
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZone:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Inner city"
+ *         provinces:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Provinces in the zone. A zone without provinces covers every province no other zone lists.
+ *         rates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               maxWeight:
+ *                 type: number
+ *                 description: Fee for parcels up to this weight in grams
+ *                 example: 500
+ *               fee:
+ *                 type: number
+ *                 example: 15000
+ *         extraFeePerKg:
+ *           type: number
+ *           description: Added for every started kilogram above the heaviest rate
+ *           example: 5000
+ *       required:
+ *         - name
+ *         - rates
+ */
+
+/**
+ * @swagger
+ * /api/shipping-rates:
+ *   get:
+ *     tags:
+ *       - Shipping Rates
+ *     summary: Get the shipping rate table
+ *     responses:
+ *       200:
+ *         description: The shipping zones and their rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 zones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingZone'
+ *       500:
+ *         description: Internal server error
+ */
+shippingRateRoute.get("/", async (req, res) => {
+  try {
+    res.status(200).json({ zones: await getShippingZones() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping-rates/quote:
+ *   get:
+ *     tags:
+ *       - Shipping Rates
+ *     summary: Quote the shipping fee of a parcel
+ *     parameters:
+ *       - in: query
+ *         name: province
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: weight
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Weight in grams, e.g. the totalWeight of the cart
+ *     responses:
+ *       200:
+ *         description: The shipping fee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 zone:
+ *                   type: string
+ *                 weight:
+ *                   type: number
+ *                 fee:
+ *                   type: number
+ *       400:
+ *         description: Missing province or weight, or no zone covers the province
+ */
+shippingRateRoute.get("/quote", async (req, res) => {
+  try {
+    const { province } = req.query;
+    const weight = Number(req.query.weight);
+
+    if (!province || !Number.isFinite(weight) || weight < 0) {
+      return res.status(400).json({ message: "A province and a weight in grams are required." });
+    }
+
+    res.status(200).json(await calculateShippingFee(province, weight));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping-rates:
+ *   put:
+ *     tags:
+ *       - Shipping Rates
+ *     summary: Replace the shipping rate table
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               zones:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: The saved shipping zones
+ *       400:
+ *         description: Invalid rate table
+ *       403:
+ *         description: Forbidden, user does not have permission
+ */
+shippingRateRoute.put("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { zones } = req.body;
+
+    if (!Array.isArray(zones) || zones.length === 0) {
+      return res.status(400).json({ message: "At least one zone is required." });
+    }
+    if (zones.some((zone) => !Array.isArray(zone.rates) || zone.rates.length === 0)) {
+      return res.status(400).json({ message: "Every zone needs at least one weight rate." });
+    }
+
+    const table = await db.ShippingRate.findOneAndUpdate(
+      {},
+      { zones, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({ zones: table.zones });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = shippingRateRoute;
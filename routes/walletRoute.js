@@ -0,0 +1,193 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getPagination } = require("../utils/query");
+
+const walletRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wallet
+ *   description: Account balance history and reconciliation
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WalletTransaction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         account:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: ["opening_balance", "topup", "payment", "sale", "refund"]
+ *           description: opening_balance is what the account held before the ledger was introduced
+ *         amount:
+ *           type: number
+ *           description: Positive for credits, negative for debits
+ *         balanceAfter:
+ *           type: number
+ *           description: Account balance right after this transaction
+ *         order:
+ *           type: string
+ *         actor:
+ *           type: string
+ *           description: Account that made the change, empty for system actions
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/wallet/transactions:
+ *   get:
+ *     tags:
+ *       - Wallet
+ *     summary: Get the balance history of the logged-in account
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transactions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 balance:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 page:
+ *                   type: number
+ *                 limit:
+ *                   type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WalletTransaction'
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+walletRoute.get("/transactions", authMiddleware, async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [account, total, transactions] = await Promise.all([
+      db.Account.findById(req.user._id).select("balance"),
+      db.WalletTransaction.countDocuments({ account: req.user._id }),
+      db.WalletTransaction.find({ account: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    if (!account) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    res.status(200).json({ balance: account.balance, total, page, limit, transactions });
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallet/reconcile/{accountId}:
+ *   get:
+ *     tags:
+ *       - Wallet
+ *     summary: Compare the ledger of an account with its balance
+ *     description: >
+ *       Sums every wallet transaction of the account, its opening_balance entry included, and
+ *       compares it with Account.balance. A difference means the balance was changed without going
+ *       through the ledger.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 account:
+ *                   type: string
+ *                 balance:
+ *                   type: number
+ *                 ledgerTotal:
+ *                   type: number
+ *                 difference:
+ *                   type: number
+ *                   description: balance minus ledgerTotal
+ *                 consistent:
+ *                   type: boolean
+ *                 transactionCount:
+ *                   type: number
+ *                 lastBalanceAfter:
+ *                   type: number
+ *                   description: Running balance recorded on the latest transaction
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Internal server error
+ */
+walletRoute.get("/reconcile/:accountId", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const account = await db.Account.findById(req.params.accountId).select("balance");
+    if (!account) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    const [summary] = await db.WalletTransaction.aggregate([
+      { $match: { account: account._id } },
+      { $group: { _id: null, ledgerTotal: { $sum: "$amount" }, transactionCount: { $sum: 1 } } },
+    ]);
+    const lastTransaction = await db.WalletTransaction.findOne({ account: account._id }).sort({ createdAt: -1 });
+
+    const ledgerTotal = summary ? summary.ledgerTotal : 0;
+    const difference = account.balance - ledgerTotal;
+
+    res.status(200).json({
+      account: account._id,
+      balance: account.balance,
+      ledgerTotal,
+      difference,
+      consistent: difference === 0,
+      transactionCount: summary ? summary.transactionCount : 0,
+      lastBalanceAfter: lastTransaction ? lastTransaction.balanceAfter : null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
+
+module.exports = walletRoute;
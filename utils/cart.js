@@ -0,0 +1,144 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { getItemsWeight } = require("./shipping");
+const { findVariant, resolveVariant, getLineDetails, getLineName } = require("./productVariant");
+
+/**
+ * Identify whose cart a request works on: the logged-in account when a token
+ * was sent, otherwise the guest id from the `x-guest-id` header.
+ */
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { account: req.user._id };
+  }
+
+  const guestId = req.headers["x-guest-id"];
+  if (!guestId) {
+    throw createError(400, "Log in or send an x-guest-id header to use the cart.");
+  }
+  return { guestId };
+};
+
+const findOrCreateCart = (owner) =>
+  db.Cart.findOneAndUpdate(owner, { $setOnInsert: owner }, { new: true, upsert: true });
+
+// The cart line of a product, or of one variant of it
+const findCartItem = (cart, productId, variantId) =>
+  cart.items.find(
+    (item) =>
+      item.product.toString() === String(productId) && String(item.variant || "") === String(variantId || "")
+  );
+
+/**
+ * Load a product, and its variant `variantId` when it has variants, that can
+ * still be bought and check that `quantity` units are in stock.
+ */
+const getPurchasableProduct = async (productId, quantity, variantId) => {
+  const product = db.mongoose.isValidObjectId(productId) ? await db.Product.findById(productId) : null;
+  if (!product || product.isDeleted) {
+    throw createError(404, `Product with ID ${productId} not found.`);
+  }
+
+  const variant = resolveVariant(product, variantId);
+  const { stock } = getLineDetails(product, variant);
+  if (stock < quantity) {
+    throw createError(
+      400,
+      `Not enough stock for ${getLineName(product, variant)}. Available: ${stock}, Requested: ${quantity}`
+    );
+  }
+
+  return { product, variant };
+};
+
+/**
+ * Build the response body for a cart. Prices and stock are always read from the
+ * products, the cart itself only remembers product ids and quantities.
+ */
+const buildCartView = async (cart) => {
+  const productIds = cart.items.map((item) => item.product);
+  const products = await db.Product.find({ _id: { $in: productIds } }).select(
+    "name price image quantity weight isDeleted variants"
+  );
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  let totalAmount = 0;
+  let totalQuantity = 0;
+  const availableLines = [];
+
+  const items = cart.items.map((item) => {
+    const product = productById.get(item.product.toString());
+    const variant = product && findVariant(product, item.variant);
+    // Lines of a product that got variants after it was added no longer say which one to buy
+    const available =
+      Boolean(product) && !product.isDeleted && (item.variant ? Boolean(variant) : product.variants.length === 0);
+    const details = available ? getLineDetails(product, variant) : null;
+    const inStock = available && details.stock >= item.quantity;
+    const subtotal = available ? item.quantity * details.price : 0;
+
+    if (available) {
+      totalAmount += subtotal;
+      totalQuantity += item.quantity;
+      availableLines.push({ product, variant, quantity: item.quantity });
+    }
+
+    return {
+      product: item.product,
+      variant: item.variant || null,
+      name: product?.name || "Unknown Product",
+      sku: details?.sku || null,
+      size: details?.size || null,
+      image: details?.image || product?.image || null,
+      price: available ? details.price : 0,
+      quantity: item.quantity,
+      stock: available ? details.stock : 0,
+      subtotal,
+      available,
+      inStock,
+    };
+  });
+
+  return {
+    _id: cart._id,
+    items,
+    totalQuantity,
+    totalWeight: getItemsWeight(availableLines),
+    totalAmount,
+  };
+};
+
+/**
+ * Move the items of a guest cart into the account cart, adding quantities for
+ * products (and variants) that are already there, then drop the guest cart.
+ */
+const mergeGuestCart = async (guestId, accountId) => {
+  const guestCart = await db.Cart.findOne({ guestId });
+  if (!guestCart) {
+    return null;
+  }
+
+  const cart = await findOrCreateCart({ account: accountId });
+
+  for (const guestItem of guestCart.items) {
+    const existing = findCartItem(cart, guestItem.product, guestItem.variant);
+    if (existing) {
+      existing.quantity += guestItem.quantity;
+    } else {
+      cart.items.push({ product: guestItem.product, variant: guestItem.variant, quantity: guestItem.quantity });
+    }
+  }
+
+  await cart.save();
+  await db.Cart.deleteOne({ _id: guestCart._id });
+
+  return cart;
+};
+
+module.exports = {
+  getCartOwner,
+  findOrCreateCart,
+  findCartItem,
+  getPurchasableProduct,
+  buildCartView,
+  mergeGuestCart,
+};
@@ -0,0 +1,123 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { creditBalance } = require("./wallet");
+const { transitionOrder } = require("./orderLifecycle");
+
+/**
+ * Deliver a cash on delivery order: record the cash the shipper collected,
+ * mark the order as paid now and book the sale to the store account, all in
+ * one transaction. Returns null when the order changed meanwhile.
+ */
+const deliverCodOrder = async (order, { actor, role, filter, cashCollected, update = {} }) => {
+  if (typeof cashCollected !== "number" || !Number.isFinite(cashCollected) || cashCollected < 0) {
+    throw createError(400, "The cash collected from the customer is required for cash on delivery orders.");
+  }
+
+  let deliveredOrder = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    const now = new Date();
+    deliveredOrder = await transitionOrder(order, "Delivered", {
+      actor,
+      role,
+      note: `Collected ${cashCollected} in cash`,
+      filter,
+      update: {
+        ...update,
+        paidAt: now,
+        cashCollection: { amount: cashCollected, collectedBy: actor, collectedAt: now },
+      },
+      session,
+    });
+    if (!deliveredOrder) {
+      return;
+    }
+
+    const adminAccount = await db.Account.findOne({ role: "admin" }).session(session);
+    if (adminAccount) {
+      await creditBalance(adminAccount._id, cashCollected, {
+        type: "sale",
+        order: order._id,
+        actor,
+        note: "Cash on delivery",
+        session,
+      });
+    }
+  });
+
+  return deliveredOrder;
+};
+
+const recordRemittance = async (shipperId, amount, { receivedBy, note }) => {
+  if (!db.mongoose.isValidObjectId(shipperId)) {
+    throw createError(400, "Invalid shipper ID.");
+  }
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    throw createError(400, "The remitted amount must be more than 0.");
+  }
+
+  const shipper = await db.Account.findOne({ _id: shipperId, role: "shipper" });
+  if (!shipper) {
+    throw createError(404, "Shipper not found.");
+  }
+
+  return db.CashRemittance.create({ shipper: shipper._id, amount, receivedBy, note });
+};
+
+/**
+ * Cash collected on delivery against cash handed over to the store, per
+ * shipper. `outstanding` is what the shipper still has to remit and
+ * `shortfall` what they collected less than the orders were worth.
+ */
+const getCashReconciliation = async (shipperId = null) => {
+  const shipperFilter = { role: "shipper" };
+  if (shipperId) {
+    shipperFilter._id = shipperId;
+  }
+  const shippers = await db.Account.find(shipperFilter).select("email username phone").lean();
+  const shipperIds = shippers.map((shipper) => shipper._id);
+
+  const [collections, remittances] = await Promise.all([
+    db.Order.aggregate([
+      { $match: { "cashCollection.collectedBy": { $in: shipperIds } } },
+      {
+        $group: {
+          _id: "$cashCollection.collectedBy",
+          collected: { $sum: "$cashCollection.amount" },
+          expected: { $sum: "$totalAmount" },
+          orders: { $sum: 1 },
+        },
+      },
+    ]),
+    db.CashRemittance.aggregate([
+      { $match: { shipper: { $in: shipperIds } } },
+      { $group: { _id: "$shipper", remitted: { $sum: "$amount" }, lastRemittedAt: { $max: "$createdAt" } } },
+    ]),
+  ]);
+
+  const collectionByShipper = new Map(collections.map((entry) => [entry._id.toString(), entry]));
+  const remittanceByShipper = new Map(remittances.map((entry) => [entry._id.toString(), entry]));
+
+  return shippers.map((shipper) => {
+    const collection = collectionByShipper.get(shipper._id.toString()) || {};
+    const remittance = remittanceByShipper.get(shipper._id.toString()) || {};
+    const collected = collection.collected || 0;
+    const remitted = remittance.remitted || 0;
+
+    return {
+      shipper,
+      orders: collection.orders || 0,
+      expected: collection.expected || 0,
+      collected,
+      shortfall: (collection.expected || 0) - collected,
+      remitted,
+      outstanding: collected - remitted,
+      lastRemittedAt: remittance.lastRemittedAt || null,
+    };
+  });
+};
+
+module.exports = {
+  deliverCodOrder,
+  recordRemittance,
+  getCashReconciliation,
+};
@@ -0,0 +1,54 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { parseIdList } = require("./query");
+
+/**
+ * Ingredient IDs from a product body: an array, a JSON array sent in a
+ * multipart form or IDs separated by commas. Every ID has to be in the
+ * catalog and listed once.
+ */
+const parseIngredients = async (value) => {
+  let list = value;
+  if (typeof value === "string" && value.trim().startsWith("[")) {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      throw createError(400, "ingredients must be a JSON array.");
+    }
+  }
+
+  const ids = parseIdList(list, "ingredients");
+  if (new Set(ids.map(String)).size !== ids.length) {
+    throw createError(400, "An ingredient is listed more than once.");
+  }
+  const found = await db.Ingredient.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw createError(400, "Some ingredients are not in the ingredient catalog.");
+  }
+  return ids;
+};
+
+const getAllergies = async (accountId) => {
+  const account = await db.Account.findById(accountId).select("allergies");
+  return account?.allergies || [];
+};
+
+// Aggregation stage adding allergyWarnings: the ingredients of the product that are in `allergies`
+const allergyWarningsStage = (allergies) => ({
+  $addFields: {
+    allergyWarnings: { $setIntersection: [{ $ifNull: ["$ingredients", []] }, allergies] },
+  },
+});
+
+// The same for a loaded product, whose ingredients may be populated
+const getAllergyWarnings = (product, allergies) => {
+  const allergic = new Set(allergies.map(String));
+  return product.ingredients.filter((ingredient) => allergic.has(String(ingredient._id)));
+};
+
+module.exports = {
+  parseIngredients,
+  getAllergies,
+  allergyWarningsStage,
+  getAllergyWarnings,
+};
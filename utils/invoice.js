@@ -0,0 +1,165 @@
+const PDFDocument = require("pdfkit");
+const { formatOrderItems } = require("./orderItems");
+
+const STORE_DETAILS = {
+  name: process.env.STORE_NAME || "Skincare Store",
+  address: process.env.STORE_ADDRESS || "",
+  phone: process.env.STORE_PHONE || "",
+  email: process.env.STORE_EMAIL || process.env.EMAIL_USER || "",
+  taxCode: process.env.STORE_TAX_CODE || "",
+};
+
+// Prices include VAT, the invoice shows the tax part of the total
+const INVOICE_TAX_RATE = process.env.INVOICE_TAX_RATE !== undefined ? Number(process.env.INVOICE_TAX_RATE) : 0.1;
+
+// The built-in PDF fonts cannot draw Vietnamese accents, point these at a TTF font that can
+const INVOICE_FONT = process.env.INVOICE_FONT_PATH || "Helvetica";
+const INVOICE_BOLD_FONT = process.env.INVOICE_BOLD_FONT_PATH || process.env.INVOICE_FONT_PATH || "Helvetica-Bold";
+
+const formatMoney = (amount) => `${new Intl.NumberFormat("vi-VN").format(Math.round(amount || 0))} VND`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString("vi-VN");
+
+const getInvoiceNumber = (order) => {
+  const paidAt = new Date(order.paidAt || order.createdAt);
+  const day = paidAt.toISOString().slice(0, 10).replace(/-/g, "");
+  return `INV-${day}-${order._id.toString().slice(-6).toUpperCase()}`;
+};
+
+// Only orders that were paid get an invoice
+const canInvoice = (order) => Boolean(order.paidAt);
+
+const COLUMNS = [
+  { key: "productName", label: "Product", x: 50, width: 200 },
+  { key: "quantity", label: "Qty", x: 250, width: 40, align: "right" },
+  { key: "price", label: "Unit price", x: 290, width: 85, align: "right", money: true },
+  { key: "discount", label: "Discount", x: 375, width: 80, align: "right", money: true },
+  { key: "total", label: "Total", x: 455, width: 90, align: "right", money: true },
+];
+
+const drawRow = (doc, row, { header = false } = {}) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+    doc.addPage();
+  }
+  const y = doc.y;
+  doc.font(header ? INVOICE_BOLD_FONT : INVOICE_FONT);
+
+  let height = 0;
+  COLUMNS.forEach((column) => {
+    const value = column.money && !header ? formatMoney(row[column.key]) : String(row[column.key] ?? "");
+    const options = { width: column.width, align: column.align || "left" };
+    doc.text(value, column.x, y, options);
+    height = Math.max(height, doc.heightOfString(value, options));
+  });
+
+  doc.y = y + height + 6;
+  doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).strokeColor("#dddddd").stroke();
+};
+
+const drawTotal = (doc, label, amount, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? INVOICE_BOLD_FONT : INVOICE_FONT);
+  doc.text(label, 300, y, { width: 150, align: "right" });
+  doc.text(formatMoney(amount), 455, y, { width: 90, align: "right" });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Render the invoice of a paid order from the snapshot stored on the order.
+ * `account` is the customer with their email, username and phone, by default
+ * the populated `order.account`. Resolves with the PDF as a Buffer.
+ */
+const buildInvoicePdf = (order, account = order.account) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      const invoiceNumber = getInvoiceNumber(order);
+
+      // Store and invoice details
+      doc.font(INVOICE_BOLD_FONT).fontSize(18).text(STORE_DETAILS.name);
+      doc.font(INVOICE_FONT).fontSize(9);
+      [
+        STORE_DETAILS.address,
+        STORE_DETAILS.phone && `Phone: ${STORE_DETAILS.phone}`,
+        STORE_DETAILS.email && `Email: ${STORE_DETAILS.email}`,
+        STORE_DETAILS.taxCode && `Tax code: ${STORE_DETAILS.taxCode}`,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+
+      doc.font(INVOICE_BOLD_FONT).fontSize(16).text("INVOICE", 50, 50, { align: "right" });
+      doc.font(INVOICE_FONT).fontSize(9);
+      doc.text(`Invoice no: ${invoiceNumber}`, { align: "right" });
+      doc.text(`Order: ${order._id}`, { align: "right" });
+      doc.text(`Order date: ${formatDate(order.createdAt)}`, { align: "right" });
+      doc.text(`Paid on: ${formatDate(order.paidAt)}`, { align: "right" });
+      if (order.paymentMethod) {
+        doc.text(`Payment: ${order.paymentMethod}`, { align: "right" });
+      }
+
+      // Customer
+      doc.y = Math.max(doc.y, 140);
+      doc.moveDown();
+      doc.font(INVOICE_BOLD_FONT).fontSize(11).text("Bill to", 50);
+      doc.font(INVOICE_FONT).fontSize(9);
+      const address = order.shippingAddress || {};
+      [
+        address.recipientName || account?.username,
+        account?.email,
+        address.phone || account?.phone,
+        [address.street, address.ward, address.district, address.province].filter(Boolean).join(", "),
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+
+      // Line items
+      doc.moveDown();
+      doc.fontSize(9);
+      drawRow(doc, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), { header: true });
+      const items = formatOrderItems(order);
+      items.forEach((item, index) => {
+        const canceled = order.items[index].status === "Canceled";
+        drawRow(doc, { ...item, productName: canceled ? `${item.productName} (canceled)` : item.productName });
+      });
+
+      // Totals
+      doc.moveDown(0.5);
+      drawTotal(doc, "Subtotal", order.subtotal ?? items.reduce((sum, item) => sum + item.quantity * item.price, 0));
+      if (order.discountAmount > 0) {
+        drawTotal(doc, order.promotionCode ? `Discount (${order.promotionCode})` : "Discount", -order.discountAmount);
+      }
+      if (order.shippingFee > 0) {
+        drawTotal(doc, "Shipping fee", order.shippingFee);
+      }
+      drawTotal(doc, "Total", order.totalAmount, { bold: true });
+      const tax = order.totalAmount - order.totalAmount / (1 + INVOICE_TAX_RATE);
+      drawTotal(doc, `Incl. VAT ${Math.round(INVOICE_TAX_RATE * 100)}%`, tax);
+      if (order.walletAmount > 0) {
+        drawTotal(doc, "Paid from balance", order.walletAmount);
+      }
+      if (order.refundAmount > 0) {
+        drawTotal(doc, "Refunded", -order.refundAmount);
+      }
+
+      doc.moveDown(2);
+      doc.font(INVOICE_FONT).fontSize(8).fillColor("#666666").text("Thank you for shopping with us.", 50, doc.y, {
+        align: "center",
+        width: 495,
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+module.exports = {
+  canInvoice,
+  getInvoiceNumber,
+  buildInvoicePdf,
+};
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const handlebars = require("handlebars");
+const nodemailer = require("nodemailer");
+const createError = require("http-errors");
+const db = require("../models/index");
+const { releaseStock } = require("./stock");
+const { creditBalance, debitBalance } = require("./wallet");
+const { releasePromotion } = require("./promotion");
+const { formatOrderItems } = require("./orderItems");
+const { evaluateRefund } = require("./refundPolicy");
+const { assertTransition, transitionOrder } = require("./orderLifecycle");
+
+// Sent once the refund is committed, callers do not wait for it so a mail failure cannot fail the refund
+const sendRefundEmail = async (order, refundAmount, items) => {
+  const account = await db.Account.findById(order.account).select("email");
+  if (!account) {
+    return;
+  }
+
+  const emailTemplatePath = path.join(__dirname, "../templates/refundTemplate.html");
+  const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
+  const emailTemplate = handlebars.compile(emailTemplateSource);
+  const emailHtml = emailTemplate({ orderId: order._id, refundAmount, items: formatOrderItems({ items }) });
+
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: account.email,
+    subject: "Xác nhận hoàn tiền đơn hàng",
+    html: emailHtml,
+  };
+
+  transporter.sendMail(mailOptions, (error, info) => {
+    if (error) console.error("Lỗi gửi email:", error);
+    else console.log("Email sent:", info.response);
+  });
+};
+
+/**
+ * Pay a refund to the customer. When the order was paid the store received the
+ * money, so the same amount is taken back from the admin account.
+ */
+const payRefund = async (order, refundAmount, { actor, note, session }) => {
+  if (refundAmount <= 0) {
+    return;
+  }
+
+  await creditBalance(order.account, refundAmount, { type: "refund", order: order._id, actor, note, session });
+
+  if (order.status === "Pending") {
+    return;
+  }
+
+  const adminAccount = await db.Account.findOne({ role: "admin" }).session(session);
+  if (adminAccount) {
+    const debited = await debitBalance(adminAccount._id, refundAmount, {
+      type: "refund",
+      order: order._id,
+      actor,
+      note,
+      session,
+    });
+    if (!debited) {
+      throw createError(409, "The store balance is too low to pay this refund.");
+    }
+  }
+};
+
+const activeItems = (order) => order.items.filter((item) => item.status !== "Canceled");
+
+/**
+ * Cancel a whole order under the refund policy: put its stock back, refund the
+ * customer and take the refund from the store. Throws an http error when the
+ * policy does not allow it or the order changed in the meantime.
+ */
+const cancelOrder = async (order, { actor, role, reason }) => {
+  assertTransition(order.status, "Canceled", role);
+
+  const refund = await evaluateRefund(order);
+  if (!refund.allowed) {
+    throw createError(400, refund.reason);
+  }
+
+  let canceledOrder = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    canceledOrder = await transitionOrder(order, "Canceled", {
+      actor,
+      role,
+      note: reason || refund.rule,
+      filter: { refundAmount: order.refundAmount },
+      update: {
+        canceledAt: new Date(),
+        cancelReason: reason,
+        "reservation.status": "released",
+        $inc: { refundAmount: refund.refundAmount },
+      },
+      session,
+    });
+    if (!canceledOrder) {
+      throw createError(409, "The order changed while it was being canceled, please try again.");
+    }
+
+    // A Pending order whose reservation already expired holds no stock
+    if (order.status !== "Pending" || order.reservation?.status === "held") {
+      await releaseStock(activeItems(order), session);
+    }
+
+    await payRefund(order, refund.refundAmount, { actor, note: refund.rule, session });
+  });
+
+  // The promotion of an order that was never paid can be used again
+  if ((order.status === "Pending" || !order.paidAt) && order.promotion) {
+    await releasePromotion(order.promotion, order.account);
+  }
+
+  if (refund.refundAmount > 0) {
+    sendRefundEmail(order, refund.refundAmount, activeItems(order)).catch((error) =>
+      console.error("Error sending email:", error)
+    );
+  }
+
+  return { order: canceledOrder, ...refund };
+};
+
+/**
+ * Cancel one line of a paid order under the refund policy. Canceling the last
+ * remaining line cancels the whole order.
+ */
+const cancelOrderItem = async (order, itemId, { actor, role, reason }) => {
+  assertTransition(order.status, "Canceled", role);
+
+  if (order.status !== "Paid") {
+    throw createError(400, "Only items of paid orders can be canceled one by one.");
+  }
+
+  const item = order.items.id(itemId);
+  if (!item || item.status === "Canceled") {
+    throw createError(404, "Item not found in this order.");
+  }
+  if (item.lineTotal === undefined) {
+    throw createError(400, "This order was placed before single items could be canceled, cancel the whole order.");
+  }
+
+  if (activeItems(order).length === 1) {
+    return cancelOrder(order, { actor, role, reason });
+  }
+
+  const refund = await evaluateRefund(order, item);
+  if (!refund.allowed) {
+    throw createError(400, refund.reason);
+  }
+
+  let updatedOrder = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    updatedOrder = await db.Order.findOneAndUpdate(
+      { _id: order._id, status: "Paid", items: { $elemMatch: { _id: item._id, status: { $ne: "Canceled" } } } },
+      {
+        $set: {
+          "items.$.status": "Canceled",
+          "items.$.canceledAt": new Date(),
+          "items.$.refundAmount": refund.refundAmount,
+        },
+        $inc: { refundAmount: refund.refundAmount },
+      },
+      { new: true, session }
+    );
+    if (!updatedOrder) {
+      throw createError(409, "The order changed while the item was being canceled, please try again.");
+    }
+
+    await releaseStock([item], session);
+    await payRefund(order, refund.refundAmount, { actor, note: reason || refund.rule, session });
+  });
+
+  if (refund.refundAmount > 0) {
+    sendRefundEmail(order, refund.refundAmount, [item]).catch((error) => console.error("Error sending email:", error));
+  }
+
+  return { order: updatedOrder, ...refund };
+};
+
+module.exports = {
+  sendRefundEmail,
+  activeItems,
+  payRefund,
+  cancelOrder,
+  cancelOrderItem,
+};
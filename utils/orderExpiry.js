@@ -0,0 +1,103 @@
+const db = require("../models/index");
+const { releaseStock, releaseExpiredReservations } = require("./stock");
+const { creditBalance } = require("./wallet");
+const { releasePromotion } = require("./promotion");
+const { transitionOrder } = require("./orderLifecycle");
+
+// How long an order may stay Pending before it is canceled, the VNPAY payment URL expires at the same time
+const ORDER_PENDING_TIMEOUT_MINUTES = Number(process.env.ORDER_PENDING_TIMEOUT_MINUTES) || 24 * 60;
+
+const getOrderExpiry = (from = new Date()) => new Date(from.getTime() + ORDER_PENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+/**
+ * Cancel one expired Pending order: release the stock it still holds and give
+ * back the part of a split payment that was taken from the balance. Returns
+ * the canceled order, or null when it was paid or canceled in the meantime.
+ */
+const expirePendingOrder = async (orderId, reason) => {
+  let order = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    order = await transitionOrder({ _id: orderId, status: "Pending" }, "Canceled", {
+      note: reason,
+      update: { cancelReason: reason, canceledAt: new Date() },
+      session,
+    });
+    if (!order) {
+      return;
+    }
+
+    const update = { "reservation.status": "released" };
+    if (order.reservation?.status === "held") {
+      await releaseStock(order.items, session);
+    }
+
+    if (order.walletAmount > 0) {
+      update.refundAmount = order.walletAmount;
+      await creditBalance(order.account, order.walletAmount, {
+        type: "refund",
+        order: order._id,
+        note: reason,
+        session,
+      });
+    }
+
+    await db.Order.updateOne({ _id: order._id }, update, { session });
+  });
+
+  if (order?.promotion) {
+    await releasePromotion(order.promotion, order.account);
+  }
+
+  return order;
+};
+
+/**
+ * Cancel every Pending order whose payment window has passed. Orders created
+ * before `expiresAt` was stored fall back to their creation time.
+ */
+const expirePendingOrders = async () => {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - ORDER_PENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+  const expiredOrders = await db.Order.find({
+    status: "Pending",
+    $or: [{ expiresAt: { $lte: now } }, { expiresAt: { $exists: false }, createdAt: { $lte: legacyCutoff } }],
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of expiredOrders) {
+    if (await expirePendingOrder(_id, "Payment was not completed before the order expired")) {
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+const startOrderExpirySweeper = () => {
+  const intervalMinutes = Number(process.env.ORDER_SWEEP_INTERVAL_MINUTES) || 5;
+
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expirePendingOrders();
+      const released = await releaseExpiredReservations();
+      if (expired > 0 || released > 0) {
+        console.log(`Canceled ${expired} expired order(s), released ${released} expired reservation(s)`);
+      }
+    } catch (error) {
+      console.error("Error expiring pending orders:", error);
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ORDER_PENDING_TIMEOUT_MINUTES,
+  getOrderExpiry,
+  expirePendingOrder,
+  expirePendingOrders,
+  startOrderExpirySweeper,
+};
@@ -0,0 +1,61 @@
+const { getLineDetails } = require("./productVariant");
+
+/**
+ * Build the line items stored on an order from products, and their variants,
+ * loaded at purchase time. The promotion discount is spread over the lines in
+ * proportion to their value, the last line takes the rounding remainder.
+ */
+const buildOrderItems = (lines, discountAmount = 0) => {
+  const subtotal = lines.reduce(
+    (sum, { product, variant, quantity }) => sum + getLineDetails(product, variant).price * quantity,
+    0
+  );
+  let remainingDiscount = discountAmount;
+
+  return lines.map(({ product, variant, quantity }, index) => {
+    const { price, image, sku, size } = getLineDetails(product, variant);
+    const lineSubtotal = price * quantity;
+    let discount = 0;
+    if (index === lines.length - 1) {
+      discount = remainingDiscount;
+    } else if (subtotal > 0) {
+      discount = Math.round((discountAmount * lineSubtotal) / subtotal);
+    }
+    remainingDiscount -= discount;
+
+    return {
+      product: product._id,
+      variant: variant?._id,
+      name: product.name,
+      sku,
+      size,
+      image,
+      unitPrice: price,
+      quantity,
+      discount,
+      lineTotal: lineSubtotal - discount,
+    };
+  });
+};
+
+/**
+ * Line items in the shape used by the email templates. Orders created before
+ * line items were snapshotted fall back to the populated product.
+ */
+const formatOrderItems = (order) =>
+  order.items.map((item) => {
+    const price = item.unitPrice ?? item.product?.price ?? 0;
+    const name = item.name || item.product?.name || "Unknown Product";
+    return {
+      productName: item.size ? `${name} (${item.size})` : name,
+      quantity: item.quantity,
+      price,
+      discount: item.discount || 0,
+      total: item.lineTotal ?? item.quantity * price,
+    };
+  });
+
+module.exports = {
+  buildOrderItems,
+  formatOrderItems,
+};
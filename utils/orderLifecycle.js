@@ -0,0 +1,100 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+// Background jobs and payment gateway callbacks act as the "system" role
+const SYSTEM_ROLE = "system";
+
+// Allowed status changes and the roles that may make each one
+const ORDER_TRANSITIONS = {
+  Pending: {
+    Paid: ["admin", "manager", SYSTEM_ROLE],
+    Canceled: ["customer", "admin", "manager", SYSTEM_ROLE],
+  },
+  Confirmed: {
+    Shipping: ["admin", "shipper"],
+    Canceled: ["customer", "admin", "manager"],
+  },
+  Paid: {
+    Shipping: ["admin", "shipper"],
+    Canceled: ["customer", "admin", "manager"],
+  },
+  Shipping: {
+    Delivered: ["admin", "shipper"],
+    Canceled: ["customer", "admin", "manager"],
+  },
+  Delivered: {
+    ReturnRequested: ["customer"],
+  },
+  ReturnRequested: {
+    Returned: ["admin", "manager"],
+    ReturnRejected: ["admin", "manager"],
+  },
+};
+
+const canTransition = (from, to, role) => Boolean(ORDER_TRANSITIONS[from]?.[to]?.includes(role));
+
+/**
+ * Throw an http error unless `role` may move an order from `from` to `to`:
+ * 400 when the change is never allowed, 403 when another role has to make it.
+ */
+const assertTransition = (from, to, role) => {
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+  if (!allowedRoles) {
+    throw createError(400, `Orders that are ${from} cannot be changed to ${to}.`);
+  }
+  if (!allowedRoles.includes(role)) {
+    throw createError(403, `Only ${allowedRoles.join(", ")} can change a ${from} order to ${to}.`);
+  }
+};
+
+const createHistoryEntry = (from, to, { actor = null, role = SYSTEM_ROLE, note } = {}) => ({
+  from,
+  to,
+  actor,
+  role,
+  note,
+  timestamp: new Date(),
+});
+
+/**
+ * Move `order` from its current status to `to` and append the change to its
+ * status history. `order` only needs `_id` and `status`.
+ *
+ * The update is conditional on the order still having that status (and
+ * matching `filter`), so it returns null when the order changed meanwhile.
+ * Fields in `update` are written together with the status; `$inc` and other
+ * operators are passed through.
+ */
+const transitionOrder = async (order, to, { actor, role = SYSTEM_ROLE, note, filter = {}, update = {}, session } = {}) => {
+  assertTransition(order.status, to, role);
+
+  const { $set = {}, ...rest } = update;
+  const operators = {};
+  const fields = { ...$set };
+  Object.entries(rest).forEach(([key, value]) => {
+    if (key.startsWith("$")) {
+      operators[key] = value;
+    } else {
+      fields[key] = value;
+    }
+  });
+
+  return db.Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, ...filter },
+    {
+      ...operators,
+      $set: { ...fields, status: to },
+      $push: { statusHistory: createHistoryEntry(order.status, to, { actor, role, note }) },
+    },
+    { new: true, session }
+  );
+};
+
+module.exports = {
+  SYSTEM_ROLE,
+  ORDER_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  createHistoryEntry,
+  transitionOrder,
+};
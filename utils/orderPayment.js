@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const handlebars = require("handlebars");
+const nodemailer = require("nodemailer");
+const db = require("../models/index");
+const { creditBalance } = require("./wallet");
+const { reserveStock } = require("./stock");
+const { releasePromotion } = require("./promotion");
+const { formatOrderItems } = require("./orderItems");
+const { SYSTEM_ROLE, transitionOrder } = require("./orderLifecycle");
+const { canInvoice, buildInvoicePdf, getInvoiceNumber } = require("./invoice");
+
+/**
+ * Email the order confirmation to `account` with the invoice attached once the
+ * order is paid. When the invoice cannot be rendered the email is still sent,
+ * without it.
+ */
+const sendOrderConfirmationEmail = async (order, account) => {
+  const formattedItems = formatOrderItems(order);
+
+  const emailTemplatePath = path.join(__dirname, "../templates/orderConfirmationTemplate.html");
+  const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
+  const emailTemplate = handlebars.compile(emailTemplateSource);
+  const emailHtml = emailTemplate({
+    orderId: order._id,
+    shippingFee: order.shippingFee || 0,
+    totalAmount: order.totalAmount,
+    items: formattedItems,
+  });
+
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: account.email,
+    subject: "Order Confirmation",
+    html: emailHtml,
+  };
+
+  if (canInvoice(order)) {
+    try {
+      const invoice = await buildInvoicePdf(order, account);
+      mailOptions.attachments = [{ filename: `${getInvoiceNumber(order)}.pdf`, content: invoice }];
+    } catch (error) {
+      console.error("Error generating invoice:", error);
+    }
+  }
+
+  transporter.sendMail(mailOptions, (error, info) => {
+    if (error) {
+      console.error("Error sending email:", error);
+    } else {
+      console.log("Email sent:", info.response);
+    }
+  });
+};
+
+/**
+ * Move a Pending order to Paid: commit its stock reservation, transfer the
+ * amount to the admin account and email the customer a confirmation.
+ *
+ * The status change is a conditional update, so when the same payment is
+ * reported more than once only the first call does any work. Later calls,
+ * and calls for orders that are not Pending, return null. Everything except
+ * the email happens in one transaction; when stock has to be reserved again
+ * and is no longer available a 409 error is thrown and nothing is changed.
+ * Without an `actor` the payment is recorded as confirmed by the system.
+ */
+const markOrderPaid = async (orderId, { transactionRef, actor, role = SYSTEM_ROLE, note = "Payment received" } = {}) => {
+  const update = { paidAt: new Date() };
+  if (transactionRef) {
+    update.paymentTransactionRef = transactionRef;
+  }
+
+  let order = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    order = await transitionOrder({ _id: orderId, status: "Pending" }, "Paid", { actor, role, note, update, session });
+    if (!order) {
+      return;
+    }
+
+    // The reservation was released after it expired, or the order predates reservations
+    if (order.reservation?.status !== "held") {
+      await reserveStock(order.items, session);
+    }
+    order.reservation = { status: "committed", expiresAt: order.reservation?.expiresAt };
+    await order.save({ session });
+
+    // Transfer funds to admin account
+    const adminAccount = await db.Account.findOne({ role: "admin" }).session(session);
+    if (adminAccount) {
+      await creditBalance(adminAccount._id, order.totalAmount, { type: "sale", order: order._id, session });
+    }
+  });
+
+  if (!order) {
+    return null;
+  }
+
+  await order.populate("items.product");
+  const account = await db.Account.findById(order.account).select("email username phone");
+  if (account) {
+    sendOrderConfirmationEmail(order, account).catch((error) => console.error("Error sending email:", error));
+  }
+
+  return order;
+};
+
+/**
+ * Cancel a Pending order that was paid online after its stock ran out, and
+ * give the whole total back to the customer balance.
+ */
+const cancelUnfulfillableOrder = async (orderId, { transactionRef } = {}) => {
+  const update = { canceledAt: new Date(), cancelReason: "Out of stock when the payment arrived" };
+  if (transactionRef) {
+    update.paymentTransactionRef = transactionRef;
+  }
+
+  let order = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    order = await transitionOrder({ _id: orderId, status: "Pending" }, "Canceled", {
+      note: update.cancelReason,
+      update,
+      session,
+    });
+    if (!order) {
+      return;
+    }
+
+    order.refundAmount = order.totalAmount;
+    await order.save({ session });
+    await creditBalance(order.account, order.totalAmount, {
+      type: "refund",
+      order: order._id,
+      note: "Paid after the reserved stock was released and the products are out of stock",
+      session,
+    });
+  });
+
+  if (order?.promotion) {
+    await releasePromotion(order.promotion, order.account);
+  }
+
+  return order;
+};
+
+module.exports = {
+  markOrderPaid,
+  cancelUnfulfillableOrder,
+  sendOrderConfirmationEmail,
+};
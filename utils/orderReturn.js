@@ -0,0 +1,80 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { releaseStock } = require("./stock");
+const { activeItems, payRefund, sendRefundEmail } = require("./orderCancellation");
+const { assertTransition, transitionOrder } = require("./orderLifecycle");
+
+// The products were delivered, so the shipping fee is not refunded
+const getReturnRefund = (order) => {
+  const items = activeItems(order);
+  return items.every((item) => item.lineTotal !== undefined)
+    ? items.reduce((sum, item) => sum + item.lineTotal, 0)
+    : order.totalAmount - order.refundAmount - (order.shippingFee || 0);
+};
+
+/**
+ * Approve the return of a delivered order: refund the items that were not
+ * canceled earlier to the customer's balance, taken from the store account,
+ * and put the products back into stock only when they can be sold again.
+ */
+const approveReturn = async (order, { actor, role, resellable }) => {
+  assertTransition(order.status, "Returned", role);
+
+  const refundAmount = getReturnRefund(order);
+
+  let returnedOrder = null;
+  await db.mongoose.connection.transaction(async (session) => {
+    returnedOrder = await transitionOrder(order, "Returned", {
+      actor,
+      role,
+      note: resellable ? "Return approved, products restocked" : "Return approved",
+      update: {
+        "returnRequest.reviewedBy": actor,
+        "returnRequest.reviewedAt": new Date(),
+        "returnRequest.resellable": resellable,
+        $inc: { refundAmount },
+      },
+      session,
+    });
+    if (!returnedOrder) {
+      throw createError(409, "The return was reviewed meanwhile.");
+    }
+
+    if (resellable) {
+      await releaseStock(activeItems(order), session);
+    }
+
+    await payRefund(order, refundAmount, { actor, note: "Return approved", session });
+  });
+
+  if (refundAmount > 0) {
+    sendRefundEmail(order, refundAmount, activeItems(order)).catch((error) =>
+      console.error("Error sending email:", error)
+    );
+  }
+
+  return { order: returnedOrder, refundAmount };
+};
+
+const rejectReturn = async (order, { actor, role, reason }) => {
+  const rejectedOrder = await transitionOrder(order, "ReturnRejected", {
+    actor,
+    role,
+    note: reason,
+    update: {
+      "returnRequest.reviewedBy": actor,
+      "returnRequest.reviewedAt": new Date(),
+      "returnRequest.rejectReason": reason,
+    },
+  });
+  if (!rejectedOrder) {
+    throw createError(409, "The return was reviewed meanwhile.");
+  }
+
+  return rejectedOrder;
+};
+
+module.exports = {
+  approveReturn,
+  rejectReturn,
+};
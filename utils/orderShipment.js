@@ -0,0 +1,142 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+// Orders a shipper can still be assigned to or swapped on
+const ASSIGNABLE_STATUSES = ["Confirmed", "Paid", "Shipping"];
+
+const isAssignedShipper = (order, user) => Boolean(order.shipment?.shipper?.equals(user._id));
+
+/**
+ * Assign `order` to a shipper account, replacing any earlier shipper. The new
+ * shipper has to accept the order before they can ship or deliver it.
+ */
+const assignShipper = async (order, shipperId, { actor }) => {
+  if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+    throw createError(400, `Orders that are ${order.status} cannot be assigned to a shipper.`);
+  }
+  if (!db.mongoose.isValidObjectId(shipperId)) {
+    throw createError(400, "Invalid shipper ID.");
+  }
+
+  const shipper = await db.Account.findOne({ _id: shipperId, role: "shipper", status: true });
+  if (!shipper) {
+    throw createError(404, "Shipper not found or inactive.");
+  }
+
+  const assignedOrder = await db.Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ASSIGNABLE_STATUSES } },
+    {
+      shipment: {
+        shipper: shipper._id,
+        status: "Assigned",
+        assignedBy: actor,
+        assignedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!assignedOrder) {
+    throw createError(409, "The order changed meanwhile, please try again.");
+  }
+
+  return assignedOrder;
+};
+
+/**
+ * Record the assigned shipper accepting or declining the order. A declined
+ * order waits for a manager to assign it again.
+ */
+const respondToAssignment = async (order, user, { accept, reason }) => {
+  if (!isAssignedShipper(order, user)) {
+    throw createError(403, "This order is not assigned to you.");
+  }
+  if (order.shipment.status !== "Assigned") {
+    throw createError(400, `You already ${order.shipment.status.toLowerCase()} this order.`);
+  }
+
+  const update = {
+    "shipment.status": accept ? "Accepted" : "Declined",
+    "shipment.respondedAt": new Date(),
+  };
+  if (!accept) {
+    update["shipment.declineReason"] = reason;
+  }
+
+  const updatedOrder = await db.Order.findOneAndUpdate(
+    { _id: order._id, "shipment.shipper": user._id, "shipment.status": "Assigned" },
+    update,
+    { new: true }
+  );
+  if (!updatedOrder) {
+    throw createError(409, "The assignment changed meanwhile.");
+  }
+
+  return updatedOrder;
+};
+
+/**
+ * Per shipper counts of the orders waiting for them to accept, accepted but
+ * not picked up, out for delivery and delivered, plus declined assignments.
+ */
+const getShipperWorkload = async () => {
+  const shippers = await db.Account.find({ role: "shipper" }).select("email username phone status").lean();
+
+  const stats = await db.Order.aggregate([
+    { $match: { "shipment.shipper": { $in: shippers.map((shipper) => shipper._id) } } },
+    {
+      $group: {
+        _id: "$shipment.shipper",
+        awaitingAcceptance: {
+          $sum: { $cond: [{ $eq: ["$shipment.status", "Assigned"] }, 1, 0] },
+        },
+        declined: {
+          $sum: { $cond: [{ $eq: ["$shipment.status", "Declined"] }, 1, 0] },
+        },
+        readyForPickup: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ["$shipment.status", "Accepted"] }, { $in: ["$status", ["Confirmed", "Paid"]] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        shipping: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ["$shipment.status", "Accepted"] }, { $eq: ["$status", "Shipping"] }] }, 1, 0],
+          },
+        },
+        delivered: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ["$shipment.status", "Accepted"] }, { $eq: ["$status", "Delivered"] }] }, 1, 0],
+          },
+        },
+      },
+    },
+  ]);
+
+  const statsByShipper = new Map(stats.map((stat) => [stat._id.toString(), stat]));
+
+  return shippers.map((shipper) => {
+    const stat = statsByShipper.get(shipper._id.toString()) || {};
+    const workload = {
+      awaitingAcceptance: stat.awaitingAcceptance || 0,
+      readyForPickup: stat.readyForPickup || 0,
+      shipping: stat.shipping || 0,
+      delivered: stat.delivered || 0,
+      declined: stat.declined || 0,
+    };
+    return {
+      shipper,
+      ...workload,
+      open: workload.awaitingAcceptance + workload.readyForPickup + workload.shipping,
+    };
+  });
+};
+
+module.exports = {
+  isAssignedShipper,
+  assignShipper,
+  respondToAssignment,
+  getShipperWorkload,
+};
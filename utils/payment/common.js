@@ -0,0 +1,18 @@
+// Outcome of applying a payment callback, each provider maps it to the answer its gateway expects
+const CALLBACK_RESULTS = {
+  SUCCESS: "success",
+  ORDER_NOT_FOUND: "orderNotFound",
+  ALREADY_CONFIRMED: "alreadyConfirmed",
+  INVALID_AMOUNT: "invalidAmount",
+  INVALID_SIGNATURE: "invalidSignature",
+  UNKNOWN_ERROR: "unknownError",
+};
+
+// Public address of this server, for callback and return URLs
+const getCallbackBaseUrl = () =>
+  process.env.PAYMENT_CALLBACK_BASE_URL || `http://${process.env.HOST_NAME || "localhost"}:${process.env.PORT || 3000}`;
+
+module.exports = {
+  CALLBACK_RESULTS,
+  getCallbackBaseUrl,
+};
@@ -0,0 +1,42 @@
+const createError = require("http-errors");
+const vnpayProvider = require("./vnpayProvider");
+const mockProvider = require("./mockProvider");
+const { CALLBACK_RESULTS } = require("./common");
+
+/*
+ * A payment provider is an object with:
+ *   name
+ *   assertConfigured()  throws an http error when the provider cannot take payments
+ *   createPayment({ orderId, amount, ipAddr, expiresAt })  -> { paymentUrl }
+ *   verifyCallback(query)  -> { isVerified, isSuccess, orderId, amount, transactionRef, message }
+ *   callbackResponse(result)  -> body to answer the gateway's server callback with
+ *   refund({ orderId, transactionRef, amount, fullRefund, paidAt, ipAddr, actor })  -> { success, refundRef, message }
+ * No route calls refund yet: canceled and returned orders are refunded to the
+ * account balance, see utils/orderCancellation.
+ */
+// The mock provider pays any order without a gateway, its callbacks must not exist in production
+const PAYMENT_PROVIDERS = {
+  [vnpayProvider.name]: vnpayProvider,
+  ...(process.env.NODE_ENV === "production" ? {} : { [mockProvider.name]: mockProvider }),
+};
+
+// Provider used for new online payments
+const DEFAULT_PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || vnpayProvider.name;
+
+const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  const provider = PAYMENT_PROVIDERS[name];
+  if (!provider) {
+    throw createError(404, `Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Gateways want the customer's IP. X-Forwarded-For is only believed for the proxies TRUST_PROXY names, see app.js
+const getClientIp = (req) => (req.ip || "127.0.0.1").replace(/^::ffff:/, "");
+
+module.exports = {
+  CALLBACK_RESULTS,
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  getClientIp,
+};
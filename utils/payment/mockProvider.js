@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const { CALLBACK_RESULTS, getCallbackBaseUrl } = require("./common");
+
+/*
+ * A payment gateway that never leaves this server, for local development and
+ * tests. Its payment URL is our own callback with a successful result already
+ * signed in, so opening it pays the order; buildCallbackQuery signs any other
+ * result. Anyone who knows MOCK_PAYMENT_SECRET can pay an order, so there is
+ * no default secret, and utils/payment does not offer this provider when
+ * NODE_ENV is production.
+ * Refunds always succeed and are kept in memory.
+ */
+const getSecret = () => {
+  if (!process.env.MOCK_PAYMENT_SECRET) {
+    throw createError(500, "The mock payment provider is not configured, set MOCK_PAYMENT_SECRET.");
+  }
+  return process.env.MOCK_PAYMENT_SECRET;
+};
+
+const refunds = [];
+
+const sign = ({ orderId, amount, status, transactionRef }) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${orderId}|${amount}|${status}|${transactionRef}`)
+    .digest("hex");
+
+/**
+ * Query string of a callback for `orderId`, signed like the mock gateway
+ * would. `status` is "success" or "failed".
+ */
+const buildCallbackQuery = ({ orderId, amount, status = "success", transactionRef = `MOCK-${Date.now()}` }) => {
+  const fields = { orderId: orderId.toString(), amount: String(amount), status, transactionRef };
+  return { ...fields, signature: sign(fields) };
+};
+
+const assertConfigured = () => {
+  getSecret();
+};
+
+const createPayment = async ({ orderId, amount }) => {
+  const query = new URLSearchParams(buildCallbackQuery({ orderId, amount }));
+  return { paymentUrl: `${getCallbackBaseUrl()}/api/order/payment/mock/return?${query}` };
+};
+
+const verifyCallback = (query) => {
+  const { orderId, amount, status, transactionRef, signature = "" } = query;
+  const expected = sign({ orderId, amount, status, transactionRef });
+  const isVerified =
+    signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return {
+    isVerified,
+    isSuccess: isVerified && status === "success",
+    orderId,
+    amount: Number(amount),
+    transactionRef,
+    message: status === "success" ? "Payment succeeded" : "Payment failed",
+  };
+};
+
+const callbackResponse = (result) => ({ result });
+
+const refund = async ({ orderId, transactionRef, amount }) => {
+  const refundRef = `MOCK-REFUND-${Date.now()}`;
+  refunds.push({ orderId: orderId.toString(), transactionRef, amount, refundRef });
+  return { success: true, refundRef, message: "Refunded" };
+};
+
+module.exports = {
+  name: "mock",
+  assertConfigured,
+  createPayment,
+  verifyCallback,
+  callbackResponse,
+  refund,
+  buildCallbackQuery,
+  refunds,
+};
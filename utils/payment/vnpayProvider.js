@@ -0,0 +1,121 @@
+const createError = require("http-errors");
+const {
+  VNPay,
+  ignoreLogger,
+  ProductCode,
+  VnpLocale,
+  dateFormat,
+  RefundTransactionType,
+  IpnSuccess,
+  IpnOrderNotFound,
+  InpOrderAlreadyConfirmed,
+  IpnInvalidAmount,
+  IpnFailChecksum,
+  IpnUnknownError,
+} = require("vnpay");
+const { CALLBACK_RESULTS, getCallbackBaseUrl } = require("./common");
+
+/*
+ * Configured from the environment:
+ *   VNPAY_TMN_CODE, VNPAY_SECURE_SECRET  merchant credentials (required)
+ *   VNPAY_HOST                           defaults to the sandbox
+ *   VNPAY_TEST_MODE                      "false" for production
+ *   VNPAY_RETURN_URL                     where VNPAY sends the customer back, e.g. the app deep link
+ */
+const VNPAY_HOST = process.env.VNPAY_HOST || "https://sandbox.vnpayment.vn";
+
+let client = null;
+
+// Created on first use so the server still starts when VNPAY is not configured
+const getClient = () => {
+  if (!client) {
+    if (!process.env.VNPAY_TMN_CODE || !process.env.VNPAY_SECURE_SECRET) {
+      throw createError(500, "VNPAY is not configured, set VNPAY_TMN_CODE and VNPAY_SECURE_SECRET.");
+    }
+    // Payment URLs and callback verification must use the same secret
+    client = new VNPay({
+      tmnCode: process.env.VNPAY_TMN_CODE,
+      secureSecret: process.env.VNPAY_SECURE_SECRET,
+      vnpayHost: VNPAY_HOST,
+      testMode: process.env.VNPAY_TEST_MODE !== "false",
+      hashAlgorithm: "SHA512",
+      enableLog: true,
+      loggerFn: ignoreLogger,
+    });
+  }
+  return client;
+};
+
+const assertConfigured = () => {
+  getClient();
+};
+
+const CALLBACK_RESPONSES = {
+  [CALLBACK_RESULTS.SUCCESS]: IpnSuccess,
+  [CALLBACK_RESULTS.ORDER_NOT_FOUND]: IpnOrderNotFound,
+  [CALLBACK_RESULTS.ALREADY_CONFIRMED]: InpOrderAlreadyConfirmed,
+  [CALLBACK_RESULTS.INVALID_AMOUNT]: IpnInvalidAmount,
+  [CALLBACK_RESULTS.INVALID_SIGNATURE]: IpnFailChecksum,
+  [CALLBACK_RESULTS.UNKNOWN_ERROR]: IpnUnknownError,
+};
+
+const createPayment = async ({ orderId, amount, ipAddr, expiresAt }) => {
+  const paymentUrl = await getClient().buildPaymentUrl({
+    vnp_Amount: amount,
+    vnp_IpAddr: ipAddr,
+    vnp_TxnRef: orderId.toString(),
+    vnp_OrderInfo: `${orderId}`,
+    vnp_OrderType: ProductCode.Other,
+    vnp_ReturnUrl: process.env.VNPAY_RETURN_URL || `${getCallbackBaseUrl()}/api/order/vnpay-return`,
+    vnp_Locale: VnpLocale.VN,
+    vnp_CreateDate: dateFormat(new Date()),
+    vnp_ExpireDate: dateFormat(expiresAt),
+  });
+
+  return { paymentUrl };
+};
+
+// VNPAY signs the IPN call and the return URL the same way
+const verifyCallback = (query) => {
+  const verify = getClient().verifyIpnCall(query);
+  return {
+    isVerified: verify.isVerified,
+    isSuccess: verify.isSuccess,
+    orderId: verify.vnp_TxnRef,
+    amount: verify.vnp_Amount,
+    transactionRef: verify.vnp_TransactionNo?.toString(),
+    message: verify.message,
+  };
+};
+
+const callbackResponse = (result) => CALLBACK_RESPONSES[result] || IpnUnknownError;
+
+const refund = async ({ orderId, transactionRef, amount, fullRefund, paidAt, ipAddr, actor }) => {
+  const response = await getClient().refund({
+    vnp_Amount: amount,
+    vnp_CreateBy: actor ? actor.toString() : "system",
+    vnp_CreateDate: dateFormat(new Date()),
+    vnp_IpAddr: ipAddr,
+    vnp_OrderInfo: `Refund ${orderId}`,
+    vnp_RequestId: `${orderId}-${Date.now()}`,
+    vnp_TransactionDate: dateFormat(paidAt),
+    vnp_TransactionNo: transactionRef ? Number(transactionRef) : undefined,
+    vnp_TransactionType: fullRefund ? RefundTransactionType.FULL_REFUND : RefundTransactionType.PARTIAL_REFUND,
+    vnp_TxnRef: orderId.toString(),
+  });
+
+  return {
+    success: response.isVerified && response.isSuccess,
+    refundRef: response.vnp_TransactionNo?.toString(),
+    message: response.message,
+  };
+};
+
+module.exports = {
+  name: "vnpay",
+  assertConfigured,
+  createPayment,
+  verifyCallback,
+  callbackResponse,
+  refund,
+};
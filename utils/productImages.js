@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const createError = require("http-errors");
+const { getStorage, removeFiles } = require("./storage");
+
+const MAX_PRODUCT_IMAGES = 10;
+
+// Longest side in pixels of the copies made of every uploaded product image
+const IMAGE_SIZES = {
+  medium: 800,
+  thumbnail: 200,
+};
+
+const resizeImage = (buffer, size) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+/**
+ * Save images uploaded with multer's memory storage for product `productId`:
+ * the original file and a medium and thumbnail JPEG of it, under
+ * products/<productId>/. When one of them fails everything saved so far is
+ * removed again.
+ */
+const saveProductImages = async (productId, files) => {
+  const storage = getStorage();
+  const saved = [];
+  const images = [];
+
+  try {
+    for (const file of files) {
+      const name = `products/${productId}/${crypto.randomUUID()}`;
+      const resized = {};
+      for (const [sizeName, size] of Object.entries(IMAGE_SIZES)) {
+        resized[sizeName] = await resizeImage(file.buffer, size).catch(() => {
+          throw createError(400, `${file.originalname} is not a valid image.`);
+        });
+      }
+
+      const image = {};
+      image.original = await storage.save({
+        key: `${name}${path.extname(file.originalname).toLowerCase()}`,
+        body: file.buffer,
+        contentType: file.mimetype,
+      });
+      saved.push(image.original);
+      for (const [sizeName, body] of Object.entries(resized)) {
+        image[sizeName] = await storage.save({ key: `${name}-${sizeName}.jpg`, body, contentType: "image/jpeg" });
+        saved.push(image[sizeName]);
+      }
+      images.push(image);
+    }
+  } catch (error) {
+    await removeFiles(saved);
+    throw error;
+  }
+
+  return images;
+};
+
+// Best effort, like removeFiles
+const removeProductImages = (images) =>
+  removeFiles(images.flatMap((image) => [image.original, image.medium, image.thumbnail]));
+
+module.exports = {
+  MAX_PRODUCT_IMAGES,
+  IMAGE_SIZES,
+  saveProductImages,
+  removeProductImages,
+};
@@ -0,0 +1,191 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { allergyWarningsStage } = require("./ingredients");
+const { getPagination, parseNumber, parseIdList } = require("./query");
+
+// Orders whose items count as sold for best-selling
+const SOLD_STATUSES = ["Confirmed", "Paid", "Shipping", "Delivered", "ReturnRequested", "ReturnRejected"];
+
+// Sort options of the product list and the direction each one uses unless `order` is given
+const PRODUCT_SORTS = {
+  price: { field: "price", direction: 1 },
+  newest: { field: "createdAt", direction: -1 },
+  rating: { field: "averageRating", direction: -1 },
+  bestSelling: { field: "soldCount", direction: -1 },
+};
+
+// Query parameters of the product list, each one is read as a single string
+const PRODUCT_FILTER_PARAMS = [
+  "q",
+  "category",
+  "brand",
+  "suitableSkin",
+  "minPrice",
+  "maxPrice",
+  "excludeIngredients",
+  "inStock",
+];
+const PRODUCT_LIST_PARAMS = ["sortBy", "order", "page", "limit"];
+
+// Express parses a parameter repeated in the query string as an array
+const assertNotRepeated = (query, names) => {
+  const repeated = names.filter((name) => query[name] !== undefined && typeof query[name] !== "string");
+  if (repeated.length > 0) {
+    throw createError(400, `Send ${repeated.join(", ")} only once, several IDs go in one value separated by commas.`);
+  }
+};
+
+/**
+ * Build the product query of the public product list from its query
+ * parameters. Deleted products are always left out. Throws a 400 http error
+ * for an invalid filter, including one repeated in the query string.
+ */
+const buildProductFilter = (query) => {
+  assertNotRepeated(query, PRODUCT_FILTER_PARAMS);
+
+  const filter = { isDeleted: { $ne: true } };
+
+  if (query.q?.trim()) {
+    filter.$text = { $search: query.q.trim() };
+  }
+
+  for (const field of ["category", "brand", "suitableSkin"]) {
+    if (query[field]) {
+      filter[field] = { $in: parseIdList(query[field], field) };
+    }
+  }
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if ((query.minPrice && minPrice === undefined) || (query.maxPrice && maxPrice === undefined)) {
+    throw createError(400, "minPrice and maxPrice must be numbers.");
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = minPrice;
+    if (maxPrice !== undefined) price.$lte = maxPrice;
+    // A product with variants matches when one of its sizes is in the range
+    filter.$or = [{ price, "variants.0": { $exists: false } }, { variants: { $elemMatch: { price } } }];
+  }
+
+  if (query.excludeIngredients) {
+    filter.ingredients = { $nin: parseIdList(query.excludeIngredients, "excludeIngredients") };
+  }
+
+  if (query.inStock === "true") {
+    filter.quantity = { $gt: 0 };
+  } else if (query.inStock === "false") {
+    filter.quantity = { $lte: 0 };
+  }
+
+  return filter;
+};
+
+// Adds averageRating and ratingCount from the feedback and soldCount from the orders
+const PRODUCT_STATS_STAGES = [
+  {
+    $lookup: {
+      from: db.Feedback.collection.name,
+      localField: "_id",
+      foreignField: "product",
+      pipeline: [{ $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }],
+      as: "ratingStats",
+    },
+  },
+  {
+    $lookup: {
+      from: db.Order.collection.name,
+      localField: "_id",
+      foreignField: "items.product",
+      let: { productId: "$_id" },
+      pipeline: [
+        { $match: { status: { $in: SOLD_STATUSES } } },
+        { $unwind: "$items" },
+        {
+          $match: {
+            $expr: { $and: [{ $eq: ["$items.product", "$$productId"] }, { $ne: ["$items.status", "Canceled"] }] },
+          },
+        },
+        { $group: { _id: null, quantity: { $sum: "$items.quantity" } } },
+      ],
+      as: "sales",
+    },
+  },
+  {
+    $addFields: {
+      averageRating: { $round: [{ $ifNull: [{ $arrayElemAt: ["$ratingStats.average", 0] }, 0] }, 1] },
+      ratingCount: { $ifNull: [{ $arrayElemAt: ["$ratingStats.count", 0] }, 0] },
+      soldCount: { $ifNull: [{ $arrayElemAt: ["$sales.quantity", 0] }, 0] },
+    },
+  },
+  { $project: { ratingStats: 0, sales: 0 } },
+];
+
+// Lowest and highest price of the product's variants, or its price twice when it has none
+const PRICE_RANGE_STAGE = {
+  $addFields: {
+    priceRange: {
+      min: { $ifNull: [{ $min: "$variants.price" }, "$price"] },
+      max: { $ifNull: [{ $max: "$variants.price" }, "$price"] },
+    },
+  },
+};
+
+/**
+ * One page of the public product list for `query` (see buildProductFilter
+ * for the filters), with the price range, rating and units sold of every
+ * product. A text search without sortBy is ordered by relevance, otherwise
+ * sortBy is one of PRODUCT_SORTS and `order` asc or desc overrides its
+ * direction. With the `allergies` of a customer every product also gets the
+ * allergyWarnings it contains, see utils/ingredients.
+ */
+const searchProducts = async (query, { allergies = [] } = {}) => {
+  assertNotRepeated(query, PRODUCT_LIST_PARAMS);
+  const { page, limit, skip } = getPagination(query);
+  const filter = buildProductFilter(query);
+
+  if (query.sortBy && !PRODUCT_SORTS[query.sortBy]) {
+    throw createError(400, `sortBy must be one of ${Object.keys(PRODUCT_SORTS).join(", ")}.`);
+  }
+
+  let sort;
+  if (query.sortBy) {
+    const { field, direction } = PRODUCT_SORTS[query.sortBy];
+    const order = { asc: 1, desc: -1 }[query.order] || direction;
+    sort = { [field]: order, _id: order };
+  } else if (filter.$text) {
+    sort = { relevance: -1, _id: 1 };
+  } else {
+    sort = { createdAt: -1, _id: -1 };
+  }
+
+  // Rating and sales are only worked out for the whole result when the sort needs them
+  const sortsByStats = ["rating", "bestSelling"].includes(query.sortBy);
+  const [result] = await db.Product.aggregate([
+    { $match: filter },
+    ...(filter.$text ? [{ $addFields: { relevance: { $meta: "textScore" } } }] : []),
+    ...(sortsByStats ? PRODUCT_STATS_STAGES : []),
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        products: [
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          ...(sortsByStats ? [] : PRODUCT_STATS_STAGES),
+          PRICE_RANGE_STAGE,
+          ...(allergies.length > 0 ? [allergyWarningsStage(allergies)] : []),
+        ],
+      },
+    },
+  ]);
+
+  return { total: result.total[0]?.count || 0, page, limit, products: result.products };
+};
+
+module.exports = {
+  SOLD_STATUSES,
+  PRODUCT_SORTS,
+  buildProductFilter,
+  searchProducts,
+};
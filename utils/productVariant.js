@@ -0,0 +1,47 @@
+const createError = require("http-errors");
+
+const findVariant = (product, variantId) =>
+  variantId ? (product.variants || []).find((variant) => variant._id.toString() === String(variantId)) : undefined;
+
+/**
+ * The variant of `product` a cart or order line is for. A product with
+ * variants needs one to be chosen, a product without takes none. Throws an
+ * http error otherwise.
+ */
+const resolveVariant = (product, variantId) => {
+  if (product.variants?.length > 0) {
+    if (!variantId) {
+      throw createError(400, `Choose a size of ${product.name}.`);
+    }
+    const variant = findVariant(product, variantId);
+    if (!variant) {
+      throw createError(404, `Variant with ID ${variantId} of ${product.name} not found.`);
+    }
+    return variant;
+  }
+
+  if (variantId) {
+    throw createError(404, `${product.name} has no variants.`);
+  }
+  return null;
+};
+
+// What a line of `product` sells at and has in stock, taken from `variant` when there is one
+const getLineDetails = (product, variant) => ({
+  price: variant ? variant.price : product.price,
+  stock: variant ? variant.quantity : product.quantity,
+  image: variant?.image || product.image,
+  weight: variant?.weight ?? product.weight,
+  sku: variant?.sku,
+  size: variant?.size,
+});
+
+// Name of a line as shown to customers, with the size of the variant
+const getLineName = (product, variant) => (variant ? `${product.name} (${variant.size})` : product.name);
+
+module.exports = {
+  findVariant,
+  resolveVariant,
+  getLineDetails,
+  getLineName,
+};
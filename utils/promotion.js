@@ -0,0 +1,93 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const calculateDiscount = (promotion, subtotal) => {
+  if (promotion.discountType === "fixed") {
+    return Math.min(promotion.discount, subtotal);
+  }
+  return Math.min(Math.round((subtotal * promotion.discount) / 100), subtotal);
+};
+
+/**
+ * Count one use of the code for the customer. The counter document is upserted
+ * with the limit as part of the filter, so once the limit is reached the upsert
+ * collides with the unique index instead of going over it. A first collision
+ * can also come from a concurrent first use, so it is retried once.
+ */
+const claimCustomerUsage = async (promotion, accountId) => {
+  const filter = { promotion: promotion._id, account: accountId };
+  if (promotion.usageLimitPerCustomer) {
+    filter.count = { $lt: promotion.usageLimitPerCustomer };
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await db.PromotionUsage.findOneAndUpdate(filter, { $inc: { count: 1 } }, { upsert: true });
+      return true;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check a promotion code and reserve one use of it for `accountId`. Returns the
+ * promotion and the discount it gives on `subtotal`. Throws an http error when
+ * the code is unknown, inactive, expired or used up. Every successful call must
+ * be matched by `releasePromotion` when the order does not go through.
+ */
+const redeemPromotion = async (code, accountId, subtotal) => {
+  const now = new Date();
+
+  const promotion = await db.Promotion.findOne({ code });
+  if (!promotion) {
+    throw createError(404, "Promotion code not found.");
+  }
+  if (!promotion.status) {
+    throw createError(400, "Promotion code is no longer active.");
+  }
+  if (promotion.expiredAt <= now) {
+    throw createError(400, "Promotion code has expired.");
+  }
+
+  const claimed = await db.Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      status: true,
+      expiredAt: { $gt: now },
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createError(400, "Promotion code has reached its usage limit.");
+  }
+
+  if (!(await claimCustomerUsage(claimed, accountId))) {
+    await db.Promotion.updateOne({ _id: claimed._id }, { $inc: { usedCount: -1 } });
+    throw createError(400, "You have already used this promotion code the maximum number of times.");
+  }
+
+  return { promotion: claimed, discountAmount: calculateDiscount(claimed, subtotal) };
+};
+
+// Give back a use reserved by `redeemPromotion`
+const releasePromotion = async (promotionId, accountId) => {
+  await db.Promotion.updateOne({ _id: promotionId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await db.PromotionUsage.updateOne(
+    { promotion: promotionId, account: accountId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+module.exports = {
+  redeemPromotion,
+  releasePromotion,
+};
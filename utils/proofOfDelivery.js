@@ -0,0 +1,46 @@
+const createError = require("http-errors");
+const { parseNumber, parseDate } = require("./query");
+
+const MAX_DELIVERY_PHOTOS = 5;
+
+// Allowed drift of the shipper's device clock when it sends the delivery time
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Read the delivery details a shipper sends with confirm-delivery: the
+ * recipient's name and the GPS position as latitude and longitude, both
+ * optional since older clients only send a photo, and the time of delivery
+ * (now when omitted, it can be earlier when the shipper was offline). Throws a
+ * 400 http error when one of them is invalid.
+ */
+const parseDeliveryDetails = (body, now = new Date()) => {
+  if (body.recipientName !== undefined && typeof body.recipientName !== "string") {
+    throw createError(400, "The recipient name must be text.");
+  }
+  const recipientName = body.recipientName?.trim() || undefined;
+
+  let location;
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const latitude = parseNumber(body.latitude);
+    const longitude = parseNumber(body.longitude);
+    if (latitude === undefined || longitude === undefined || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw createError(400, "GPS coordinates need a latitude between -90 and 90 and a longitude between -180 and 180.");
+    }
+    location = { latitude, longitude };
+  }
+
+  let deliveredAt = now;
+  if (body.deliveredAt) {
+    deliveredAt = parseDate(body.deliveredAt);
+    if (!deliveredAt || deliveredAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+      throw createError(400, "The delivery time must be a valid date that is not in the future.");
+    }
+  }
+
+  return { recipientName, location, deliveredAt };
+};
+
+module.exports = {
+  MAX_DELIVERY_PHOTOS,
+  parseDeliveryDetails,
+};
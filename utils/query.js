@@ -0,0 +1,48 @@
+const createError = require("http-errors");
+const mongoose = require("mongoose");
+
+// page and limit query parameters, limit capped so one request cannot load a whole collection
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Match user input literally inside a $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseNumber = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const parseDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// IDs given as an array or separated by commas, 400 when one of them is not an ObjectId
+const parseIdList = (value, name) => {
+  const ids = (Array.isArray(value) ? value : String(value).split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    throw createError(400, `Invalid ${name}: ${invalid.join(", ")}`);
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+module.exports = {
+  getPagination,
+  escapeRegex,
+  parseNumber,
+  parseDate,
+  parseIdList,
+};
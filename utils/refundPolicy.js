@@ -0,0 +1,73 @@
+const db = require("../models/index");
+
+// Used until a manager saves a policy of their own
+const DEFAULT_REFUND_RULES = [
+  { label: "Unpaid order", statuses: ["Pending"], maxMinutesSincePaid: null, refundPercent: 100 },
+  { label: "Within one hour of payment", statuses: ["Paid"], maxMinutesSincePaid: 60, refundPercent: 100 },
+  { label: "Before shipping", statuses: ["Paid"], maxMinutesSincePaid: null, refundPercent: 50 },
+  { label: "After shipping", statuses: ["Shipping"], maxMinutesSincePaid: null, refundPercent: 0 },
+];
+
+const getRefundRules = async () => {
+  const policy = await db.RefundPolicy.findOne();
+  return policy ? policy.rules : DEFAULT_REFUND_RULES;
+};
+
+const findMatchingRule = (rules, order, now) => {
+  const minutesSincePaid = order.paidAt ? (now - order.paidAt) / (60 * 1000) : null;
+
+  return rules.find((rule) => {
+    if (!rule.statuses.includes(order.status)) {
+      return false;
+    }
+    if (rule.maxMinutesSincePaid === null || rule.maxMinutesSincePaid === undefined) {
+      return true;
+    }
+    return minutesSincePaid !== null && minutesSincePaid <= rule.maxMinutesSincePaid;
+  });
+};
+
+/**
+ * Work out what canceling `order` (or only `item` of it) would refund under the
+ * current rules. A Pending order only refunds the part already taken from the
+ * balance; a paid one refunds from what the customer has not been refunded yet,
+ * including the shipping fee when the whole order is canceled.
+ */
+const evaluateRefund = async (order, item = null, now = new Date()) => {
+  // Nothing was paid yet, so there is nothing to refund
+  if (order.paymentMethod === "cod" && !order.paidAt && ["Confirmed", "Shipping"].includes(order.status)) {
+    return { allowed: true, rule: "Cash on delivery, not paid yet", refundPercent: 0, baseAmount: 0, refundAmount: 0 };
+  }
+
+  const rule = findMatchingRule(await getRefundRules(), order, now);
+  if (!rule) {
+    return { allowed: false, reason: `Orders that are ${order.status} can no longer be canceled.` };
+  }
+
+  let baseAmount;
+  if (item) {
+    baseAmount = item.lineTotal;
+  } else if (order.status === "Pending") {
+    baseAmount = order.walletAmount;
+  } else {
+    // What is left of the order after earlier single item cancellations
+    const remainingItems = order.items.filter((orderItem) => orderItem.status !== "Canceled");
+    baseAmount = remainingItems.every((orderItem) => orderItem.lineTotal !== undefined)
+      ? remainingItems.reduce((sum, orderItem) => sum + orderItem.lineTotal, 0) + (order.shippingFee || 0)
+      : order.totalAmount - order.refundAmount;
+  }
+
+  return {
+    allowed: true,
+    rule: rule.label,
+    refundPercent: rule.refundPercent,
+    baseAmount,
+    refundAmount: Math.round((baseAmount * rule.refundPercent) / 100),
+  };
+};
+
+module.exports = {
+  DEFAULT_REFUND_RULES,
+  getRefundRules,
+  evaluateRefund,
+};
@@ -0,0 +1,151 @@
+const db = require("../models/index");
+const { findOrCreateCart, findCartItem } = require("./cart");
+const { findVariant, getLineDetails } = require("./productVariant");
+
+const MAX_SUBSTITUTES = 3;
+
+// Why a line of a past order cannot be bought again as it was
+const REORDER_ISSUES = {
+  DISCONTINUED: "discontinued",
+  DELETED: "deleted",
+  OUT_OF_STOCK: "out_of_stock",
+  LIMITED_STOCK: "limited_stock",
+};
+
+/**
+ * Products in stock of the same brand and category as `product`, closest
+ * first: those for the same skin type before the others, then by how near
+ * their price is to `price`.
+ */
+const findSubstitutes = (product, price, excludeIds = []) =>
+  db.Product.aggregate([
+    {
+      $match: {
+        _id: { $nin: excludeIds },
+        brand: product.brand,
+        category: product.category,
+        isDeleted: { $ne: true },
+        quantity: { $gt: 0 },
+      },
+    },
+    {
+      $addFields: {
+        sameSkin: { $eq: ["$suitableSkin", product.suitableSkin] },
+        priceDifference: { $abs: { $subtract: ["$price", price] } },
+      },
+    },
+    { $sort: { sameSkin: -1, priceDifference: 1, _id: 1 } },
+    { $limit: MAX_SUBSTITUTES },
+    { $project: { name: 1, price: 1, image: 1, quantity: 1, suitableSkin: 1, variants: 1 } },
+  ]);
+
+/**
+ * Work out what of `order` can be bought again today. Quantities of the same
+ * product and variant are added up and lines canceled from the order are left
+ * out. Lines with too little stock are cut down to what is left; those and the
+ * ones that cannot be bought at all are reported in `issues` with substitutes.
+ * A variant that was removed, or a line bought before its product got
+ * variants, counts as discontinued; the other sizes of the product are then
+ * suggested too.
+ */
+const planReorder = async (order) => {
+  const quantities = new Map();
+  for (const item of order.items) {
+    if (item.status === "Canceled") {
+      continue;
+    }
+    const key = `${item.product}:${item.variant || ""}`;
+    const line = quantities.get(key) || {
+      productId: item.product,
+      variantId: item.variant,
+      name: item.name,
+      size: item.size,
+      unitPrice: item.unitPrice,
+      quantity: 0,
+    };
+    line.quantity += item.quantity;
+    quantities.set(key, line);
+  }
+
+  const products = await db.Product.find({ _id: { $in: [...quantities.values()].map((line) => line.productId) } });
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const lines = [];
+  const issues = [];
+
+  for (const { productId, variantId, name, size, unitPrice, quantity } of quantities.values()) {
+    const product = productById.get(productId.toString());
+    const variant = product && findVariant(product, variantId);
+    const sellsLine = product && (variantId ? Boolean(variant) : product.variants.length === 0);
+    const stock = sellsLine ? getLineDetails(product, variant).stock : 0;
+
+    let reason = null;
+    if (!product || !sellsLine) {
+      reason = REORDER_ISSUES.DISCONTINUED;
+    } else if (product.isDeleted) {
+      reason = REORDER_ISSUES.DELETED;
+    } else if (stock <= 0) {
+      reason = REORDER_ISSUES.OUT_OF_STOCK;
+    } else if (stock < quantity) {
+      reason = REORDER_ISSUES.LIMITED_STOCK;
+    }
+
+    const canBuy = reason === null || reason === REORDER_ISSUES.LIMITED_STOCK;
+    const availableQuantity = canBuy ? Math.min(quantity, stock) : 0;
+    if (availableQuantity > 0) {
+      lines.push({ product: product._id, variant: variant?._id, quantity: availableQuantity });
+    }
+
+    if (reason) {
+      // Other sizes of a product still on sale are the closest substitute of all
+      const excludeIds = products
+        .filter((other) => other !== product || product.isDeleted || product.variants.length === 0)
+        .map((other) => other._id);
+      const price = variant?.price ?? product?.price ?? unitPrice;
+      issues.push({
+        product: productId,
+        variant: variantId || null,
+        name: product?.name || name,
+        size: variant?.size || size || null,
+        reason,
+        requestedQuantity: quantity,
+        availableQuantity,
+        substitutes: product ? await findSubstitutes(product, price, excludeIds) : [],
+      });
+    }
+  }
+
+  return { lines, issues };
+};
+
+/**
+ * Add `lines` to the account's cart. Quantities add up with what is already in
+ * the cart but never go above the stock.
+ */
+const addLinesToCart = async (accountId, lines) => {
+  const cart = await findOrCreateCart({ account: accountId });
+  const products = await db.Product.find({ _id: { $in: lines.map((line) => line.product) } }).select(
+    "quantity variants"
+  );
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  for (const line of lines) {
+    const product = productById.get(line.product.toString());
+    const stock = product ? getLineDetails(product, findVariant(product, line.variant)).stock : 0;
+    const existing = findCartItem(cart, line.product, line.variant);
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, Math.min(existing.quantity + line.quantity, stock));
+    } else {
+      cart.items.push({ product: line.product, variant: line.variant, quantity: line.quantity });
+    }
+  }
+
+  await cart.save();
+  return cart;
+};
+
+module.exports = {
+  REORDER_ISSUES,
+  planReorder,
+  addLinesToCart,
+};
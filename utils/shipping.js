@@ -0,0 +1,146 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { getLineDetails } = require("./productVariant");
+
+// Used for products saved before weights were recorded
+const DEFAULT_PRODUCT_WEIGHT = Number(process.env.DEFAULT_PRODUCT_WEIGHT_GRAMS) || 200;
+
+// Used until a manager saves a rate table of their own
+const DEFAULT_SHIPPING_ZONES = [
+  {
+    name: "Inner city",
+    provinces: ["Hồ Chí Minh"],
+    rates: [
+      { maxWeight: 500, fee: 15000 },
+      { maxWeight: 1000, fee: 20000 },
+      { maxWeight: 3000, fee: 30000 },
+    ],
+    extraFeePerKg: 5000,
+  },
+  {
+    name: "Nationwide",
+    provinces: [],
+    rates: [
+      { maxWeight: 500, fee: 30000 },
+      { maxWeight: 1000, fee: 35000 },
+      { maxWeight: 3000, fee: 50000 },
+    ],
+    extraFeePerKg: 10000,
+  },
+];
+
+// Fields of a delivery address, saved in the address book and copied onto orders
+const ADDRESS_FIELDS = ["recipientName", "phone", "street", "ward", "district", "province"];
+const REQUIRED_ADDRESS_FIELDS = ["recipientName", "phone", "street", "province"];
+
+const getShippingZones = async () => {
+  const table = await db.ShippingRate.findOne();
+  return table ? table.zones : DEFAULT_SHIPPING_ZONES;
+};
+
+// "TP. Hồ Chí Minh", "Thành phố Hồ Chí Minh" and "ho chi minh" all name the same province
+const normalizeProvince = (province = "") =>
+  province
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .toLowerCase()
+    .replace(/^(thanh pho|tp\.?|tinh)\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const findZone = (zones, province) => {
+  const normalized = normalizeProvince(province);
+  return (
+    zones.find((zone) => zone.provinces.some((name) => normalizeProvince(name) === normalized)) ||
+    zones.find((zone) => zone.provinces.length === 0)
+  );
+};
+
+const getItemsWeight = (lines) =>
+  lines.reduce(
+    (sum, { product, variant, quantity }) =>
+      sum + (getLineDetails(product, variant).weight ?? DEFAULT_PRODUCT_WEIGHT) * quantity,
+    0
+  );
+
+/**
+ * Work out the shipping fee for a parcel of `weight` grams to `province`:
+ * the first rate of the matching zone that fits the weight, or the heaviest
+ * rate plus `extraFeePerKg` for every started kilogram above it.
+ */
+const calculateShippingFee = async (province, weight) => {
+  if (typeof province !== "string" || !province.trim()) {
+    throw createError(400, "A province is required.");
+  }
+
+  const zone = findZone(await getShippingZones(), province);
+  if (!zone) {
+    throw createError(400, `We do not deliver to ${province}.`);
+  }
+
+  const rates = [...zone.rates].sort((a, b) => a.maxWeight - b.maxWeight);
+  const rate = rates.find(({ maxWeight }) => weight <= maxWeight);
+  if (rate) {
+    return { zone: zone.name, weight, fee: rate.fee };
+  }
+
+  const heaviest = rates[rates.length - 1];
+  const extraKg = Math.ceil((weight - heaviest.maxWeight) / 1000);
+  return { zone: zone.name, weight, fee: heaviest.fee + extraKg * zone.extraFeePerKg };
+};
+
+/**
+ * The address an order is delivered to: `address` when one is given, else the
+ * saved address `addressId`, else the account's default address. Throws a 400
+ * http error when the input is malformed or there is no address at all.
+ */
+const resolveShippingAddress = async (accountId, { addressId, address } = {}) => {
+  if (address) {
+    if (typeof address !== "object" || Array.isArray(address)) {
+      throw createError(400, "Shipping address must be an object.");
+    }
+    const invalid = ADDRESS_FIELDS.filter(
+      (field) => address[field] !== undefined && address[field] !== null && typeof address[field] !== "string"
+    );
+    if (invalid.length > 0) {
+      throw createError(400, `Shipping address fields must be text: ${invalid.join(", ")}.`);
+    }
+    const missing = REQUIRED_ADDRESS_FIELDS.filter((field) => !address[field]?.trim());
+    if (missing.length > 0) {
+      throw createError(400, `Shipping address is missing ${missing.join(", ")}.`);
+    }
+    return Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, address[field]?.trim()]));
+  }
+
+  if (addressId && (typeof addressId !== "string" || !db.mongoose.isValidObjectId(addressId))) {
+    throw createError(400, "Invalid address ID.");
+  }
+
+  const account = await db.Account.findById(accountId).select("addresses");
+  const addresses = account?.addresses || [];
+  const saved = addressId
+    ? addresses.find((entry) => entry._id.equals(addressId))
+    : addresses.find((entry) => entry.isDefault) || addresses[0];
+  if (!saved) {
+    throw createError(
+      400,
+      addressId
+        ? "Address not found."
+        : "Add a shipping address with /api/addresses, or send shippingAddress, before checking out."
+    );
+  }
+
+  return Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, saved[field]]));
+};
+
+module.exports = {
+  ADDRESS_FIELDS,
+  DEFAULT_PRODUCT_WEIGHT,
+  DEFAULT_SHIPPING_ZONES,
+  getShippingZones,
+  getItemsWeight,
+  calculateShippingFee,
+  resolveShippingAddress,
+};
@@ -0,0 +1,113 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { findVariant, getLineName } = require("./productVariant");
+
+// How long stock stays reserved for an unpaid order. The 15 minute default is well inside the order's own
+// Pending timeout (utils/orderExpiry), so a payment arriving after the reservation ran out still reaches the order
+const STOCK_RESERVATION_MINUTES =
+  Number(process.env.STOCK_RESERVATION_MINUTES) || Number(process.env.ORDER_PENDING_TIMEOUT_MINUTES) || 15;
+
+const getReservationExpiry = (from = new Date()) => new Date(from.getTime() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+
+/**
+ * Take the quantities of `items` out of stock. Each product, or the variant of
+ * it when the item has one, is decremented with a single conditional update,
+ * so stock can never go below zero. Run it inside a transaction: when one
+ * product is short the whole reservation is rolled back.
+ */
+const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const productId = item.product._id || item.product;
+    const variantId = item.variant?._id || item.variant;
+
+    // The product quantity of a product with variants is the total of its variants
+    const result = variantId
+      ? await db.Product.updateOne(
+          {
+            _id: productId,
+            isDeleted: { $ne: true },
+            variants: { $elemMatch: { _id: variantId, quantity: { $gte: item.quantity } } },
+          },
+          { $inc: { "variants.$.quantity": -item.quantity, quantity: -item.quantity } },
+          { session }
+        )
+      : await db.Product.updateOne(
+          { _id: productId, isDeleted: { $ne: true }, quantity: { $gte: item.quantity } },
+          { $inc: { quantity: -item.quantity } },
+          { session }
+        );
+
+    if (result.modifiedCount === 0) {
+      const product = await db.Product.findById(productId).select("name quantity variants").session(session);
+      const variant = product && findVariant(product, variantId);
+      let message = `Product with ID ${productId} not found.`;
+      if (product && variantId && !variant) {
+        message = `Variant with ID ${variantId} of ${product.name} not found.`;
+      } else if (product) {
+        const available = variant ? variant.quantity : product.quantity;
+        const name = getLineName(product, variant);
+        message = `Not enough stock for ${name}. Available: ${available}, Requested: ${item.quantity}`;
+      }
+      throw createError(409, message);
+    }
+  }
+};
+
+// Put the quantities of `items` back into stock
+const releaseStock = async (items, session) => {
+  for (const item of items) {
+    const productId = item.product._id || item.product;
+    const variantId = item.variant?._id || item.variant;
+
+    if (variantId) {
+      // A variant removed since the order was placed has nothing to go back to
+      await db.Product.updateOne(
+        { _id: productId, "variants._id": variantId },
+        { $inc: { "variants.$.quantity": item.quantity, quantity: item.quantity } },
+        { session }
+      );
+    } else {
+      await db.Product.updateOne({ _id: productId }, { $inc: { quantity: item.quantity } }, { session });
+    }
+  }
+};
+
+/**
+ * Release the stock held by Pending orders whose reservation has expired. The
+ * orders stay Pending; if one is paid later its stock is reserved again.
+ */
+const releaseExpiredReservations = async () => {
+  const expiredOrders = await db.Order.find({
+    status: "Pending",
+    "reservation.status": "held",
+    "reservation.expiresAt": { $lte: new Date() },
+  }).select("_id");
+
+  let released = 0;
+  for (const { _id } of expiredOrders) {
+    let order = null;
+    await db.mongoose.connection.transaction(async (session) => {
+      order = await db.Order.findOneAndUpdate(
+        { _id, status: "Pending", "reservation.status": "held" },
+        { "reservation.status": "released" },
+        { new: true, session }
+      );
+      if (order) {
+        await releaseStock(order.items, session);
+      }
+    });
+    if (order) {
+      released++;
+    }
+  }
+
+  return released;
+};
+
+module.exports = {
+  STOCK_RESERVATION_MINUTES,
+  getReservationExpiry,
+  reserveStock,
+  releaseStock,
+  releaseExpiredReservations,
+};
@@ -0,0 +1,64 @@
+const path = require("path");
+const createError = require("http-errors");
+const localStorage = require("./localStorage");
+const s3Storage = require("./s3Storage");
+
+/*
+ * A storage backend is an object with:
+ *   name
+ *   save({ key, body, contentType })  -> { key, url }
+ *   remove(key)
+ * Keys are relative paths such as "deliveryConfirmation/delivery-<orderId>-<time>.jpg".
+ */
+const STORAGE_BACKENDS = {
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage,
+};
+
+const getStorage = (name = process.env.STORAGE_DRIVER || localStorage.name) => {
+  const storage = STORAGE_BACKENDS[name];
+  if (!storage) {
+    throw createError(500, `Unknown storage backend: ${name}`);
+  }
+  return storage;
+};
+
+/**
+ * Save files uploaded with multer's memory storage under `folder`, named
+ * `<prefix>-<time>-<n><ext>`. Returns { key, url } per file. When one of them
+ * fails the ones already saved are removed again.
+ */
+const saveUploadedFiles = async (files, folder, prefix) => {
+  const storage = getStorage();
+  const saved = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const key = `${folder}/${prefix}-${Date.now()}-${index}${path.extname(file.originalname).toLowerCase()}`;
+      saved.push(await storage.save({ key, body: file.buffer, contentType: file.mimetype }));
+    }
+  } catch (error) {
+    await removeFiles(saved);
+    throw error;
+  }
+
+  return saved;
+};
+
+// Best effort: a file that cannot be removed is only logged
+const removeFiles = async (files) => {
+  const storage = getStorage();
+  await Promise.all(
+    files
+      .filter((file) => file?.key)
+      .map((file) =>
+        storage.remove(file.key).catch((error) => console.error(`Error removing file ${file.key}:`, error))
+      )
+  );
+};
+
+module.exports = {
+  getStorage,
+  saveUploadedFiles,
+  removeFiles,
+};
@@ -0,0 +1,51 @@
+const fs = require("fs/promises");
+const path = require("path");
+const createError = require("http-errors");
+
+/*
+ * Files on this server's disk, served by the /uploads static route.
+ * Configured from the environment:
+ *   LOCAL_STORAGE_DIR       defaults to uploads/ in the project
+ *   LOCAL_STORAGE_BASE_URL  public address of this server, required in production. Elsewhere it
+ *                           defaults to http://HOST_NAME:PORT
+ * The URLs are stored on orders and products, so they have to stay valid after a deploy.
+ */
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "../../uploads");
+
+const getBaseUrl = () => {
+  if (process.env.LOCAL_STORAGE_BASE_URL) {
+    return process.env.LOCAL_STORAGE_BASE_URL.replace(/\/+$/, "");
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw createError(500, "Local file storage is not configured, set LOCAL_STORAGE_BASE_URL.");
+  }
+  return `http://${process.env.HOST_NAME || "localhost"}:${process.env.PORT || 3000}`;
+};
+
+const resolvePath = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!filePath.startsWith(path.resolve(LOCAL_STORAGE_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async ({ key, body }) => {
+  // Before writing, so a misconfigured server leaves no file behind
+  const baseUrl = getBaseUrl();
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, body);
+  return { key, url: `${baseUrl}/uploads/${key}` };
+};
+
+const remove = async (key) => {
+  await fs.rm(resolvePath(key), { force: true });
+};
+
+module.exports = {
+  name: "local",
+  directory: LOCAL_STORAGE_DIR,
+  save,
+  remove,
+};
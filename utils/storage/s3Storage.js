@@ -0,0 +1,64 @@
+const createError = require("http-errors");
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+/*
+ * An S3 compatible bucket: AWS S3, or MinIO for local development.
+ * Configured from the environment:
+ *   S3_BUCKET                                bucket the files go to (required)
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY   credentials (required)
+ *   S3_REGION                                defaults to us-east-1
+ *   S3_ENDPOINT                              e.g. http://localhost:9000 for MinIO, AWS when empty
+ *   S3_PUBLIC_URL                            base URL the objects are read from, defaults to the
+ *                                            bucket on S3_ENDPOINT or on AWS
+ */
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+
+let client = null;
+
+// Created on first use so the server still starts when S3 is not configured
+const getClient = () => {
+  if (!client) {
+    if (!process.env.S3_BUCKET || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+      throw createError(500, "S3 storage is not configured, set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.");
+    }
+    client = new S3Client({
+      region: S3_REGION,
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO serves buckets under the path, not as subdomains
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+  return client;
+};
+
+const getPublicUrl = (key) => {
+  const bucket = process.env.S3_BUCKET;
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket}/${key}`;
+  }
+  return `https://${bucket}.s3.${S3_REGION}.amazonaws.com/${key}`;
+};
+
+const save = async ({ key, body, contentType }) => {
+  await getClient().send(
+    new PutObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key, Body: body, ContentType: contentType })
+  );
+  return { key, url: getPublicUrl(key) };
+};
+
+const remove = async (key) => {
+  await getClient().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+};
+
+module.exports = {
+  name: "s3",
+  save,
+  remove,
+};
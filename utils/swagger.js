@@ -146,11 +146,24 @@ const options = {
             },
             price: {
               type: "number",
-              description: "The price of the product",
+              description: "The price of the product, the lowest variant price when it has variants",
+            },
+            quantity: {
+              type: "number",
+              description: "Units in stock, of all variants together when it has variants",
             },
             image: {
               type: "string",
-              description: "The image URL of the product",
+              description: "The image URL of the product, the medium size of the cover when it has uploaded images",
+            },
+            images: {
+              type: "array",
+              description: "Uploaded images in display order",
+              items: { $ref: "#/components/schemas/ProductImage" },
+            },
+            weight: {
+              type: "number",
+              description: "Shipping weight of the product in grams",
             },
             suitableSkin: {
               type: "string",
@@ -164,10 +177,32 @@ const options = {
               type: "string",
               description: "The ID of the brand for the product",
             },
+            variants: {
+              type: "array",
+              description: "Sizes the product is sold in, each with its own price and stock",
+              items: { $ref: "#/components/schemas/ProductVariant" },
+            },
+            ingredients: {
+              type: "array",
+              description: "IDs of the ingredients in the order of the label, populated when getting one product",
+              items: { type: "string" },
+            },
             createBy: {
               type: "string",
               description: "The ID of the user who created the product",
             },
+            isDeleted: {
+              type: "boolean",
+              description: "Deleted products are in the trash and can be restored",
+            },
+            deletedAt: {
+              type: "string",
+              format: "date-time",
+            },
+            deletedBy: {
+              type: "string",
+              description: "The ID of the user who deleted the product",
+            },
             createdAt: {
               type: "string",
               format: "date-time",
@@ -181,6 +216,63 @@ const options = {
           },
           required: ["name", "description", "price", "image", "suitableSkin", "category", "brand", "createBy"],
         },
+        ProductImage: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              description: "Unique identifier for the image",
+            },
+            original: {
+              $ref: "#/components/schemas/StoredFile",
+            },
+            medium: {
+              $ref: "#/components/schemas/StoredFile",
+            },
+            thumbnail: {
+              $ref: "#/components/schemas/StoredFile",
+            },
+            isCover: {
+              type: "boolean",
+              description: "Exactly one image of a product is its cover",
+            },
+          },
+        },
+        ProductVariant: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              description: "Unique identifier for the variant",
+            },
+            sku: {
+              type: "string",
+              description: "Stock keeping unit, unique across all products",
+              example: "CRV-CLN-50",
+            },
+            size: {
+              type: "string",
+              description: "Size or volume of the variant",
+              example: "50ml",
+            },
+            price: {
+              type: "number",
+            },
+            quantity: {
+              type: "number",
+              description: "Units of the variant in stock",
+            },
+            image: {
+              type: "string",
+              description: "Image of the variant, the product image is used when empty",
+            },
+            weight: {
+              type: "number",
+              description: "Shipping weight in grams, the product weight is used when empty",
+            },
+          },
+          required: ["sku", "size", "price", "quantity"],
+        },
         Account: {
           type: "object",
           properties: {
@@ -350,6 +442,23 @@ const options = {
               type: "number",
               description: "The discount value of the promotion",
             },
+            discountType: {
+              type: "string",
+              enum: ["percent", "fixed"],
+              description: "Whether discount is a percentage of the order or a fixed amount",
+            },
+            usageLimit: {
+              type: "number",
+              description: "Maximum number of orders that can use the code, unlimited when empty",
+            },
+            usageLimitPerCustomer: {
+              type: "number",
+              description: "Maximum number of orders per customer, unlimited when empty",
+            },
+            usedCount: {
+              type: "number",
+              description: "Number of orders that have used the code",
+            },
             startDate: {
               type: "string",
               format: "date-time",
@@ -403,6 +512,13 @@ const options = {
     "./routes/routineRoute.js",
     "./routes/quizRoute.js",
     "./routes/promotionRoute.js",
+    "./routes/cartRoute.js",
+    "./routes/walletRoute.js",
+    "./routes/refundPolicyRoute.js",
+    "./routes/addressRoute.js",
+    "./routes/shippingRateRoute.js",
+    "./routes/codRoute.js",
+    "./routes/ingredientRoute.js",
   ],
 };
 
@@ -0,0 +1,20 @@
+const multer = require("multer");
+
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif"];
+
+// Multer for image uploads, kept in memory until they are saved to utils/storage
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only JPEG, PNG, and GIF are allowed."));
+    }
+  },
+});
+
+module.exports = {
+  imageUpload,
+};
@@ -0,0 +1,106 @@
+const db = require("../models/index");
+
+const recordTransaction = (account, amount, { type, order, actor, note, session }) =>
+  db.WalletTransaction.create(
+    [
+      {
+        account: account._id,
+        type,
+        amount,
+        balanceAfter: account.balance,
+        order,
+        actor,
+        note,
+      },
+    ],
+    { session }
+  );
+
+/**
+ * Take `amount` from an account balance in a single conditional update, so two
+ * concurrent payments can never spend the same money, and record it in the
+ * ledger. Returns the updated account, or null when the balance is too low.
+ * Pass `details.session` to make both writes part of a transaction.
+ */
+const debitBalance = async (accountId, amount, details) => {
+  const account = await db.Account.findOneAndUpdate(
+    { _id: accountId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true, session: details.session }
+  );
+  if (!account) {
+    return null;
+  }
+
+  await recordTransaction(account, -amount, details);
+  return account;
+};
+
+/**
+ * Add `amount` to an account balance and record it in the ledger. Returns the
+ * updated account, or null when the account does not exist.
+ */
+const creditBalance = async (accountId, amount, details) => {
+  const account = await db.Account.findOneAndUpdate(
+    { _id: accountId },
+    { $inc: { balance: amount } },
+    { new: true, session: details.session }
+  );
+  if (!account) {
+    return null;
+  }
+
+  await recordTransaction(account, amount, details);
+  return account;
+};
+
+/**
+ * Give every account that held money before the ledger existed an
+ * opening_balance entry, so its ledger adds up to its balance. The opening
+ * amount is the balance before the account's first transaction, or the whole
+ * balance when it has none. Safe to run again, accounts that already have
+ * the entry are skipped.
+ */
+const recordOpeningBalances = async () => {
+  const opened = new Set((await db.WalletTransaction.distinct("account", { type: "opening_balance" })).map(String));
+  let recorded = 0;
+
+  for await (const account of db.Account.find().select("balance createdAt").cursor()) {
+    if (opened.has(String(account._id))) {
+      continue;
+    }
+
+    const firstTransaction = await db.WalletTransaction.findOne({ account: account._id }).sort({ createdAt: 1 });
+    const amount = firstTransaction ? firstTransaction.balanceAfter - firstTransaction.amount : account.balance;
+    if (!amount) {
+      continue;
+    }
+
+    // Dated before any other transaction of the account; the upsert keeps a second run from adding another
+    const createdAt = account.createdAt || firstTransaction?.createdAt || new Date();
+    const result = await db.WalletTransaction.updateOne(
+      { account: account._id, type: "opening_balance" },
+      {
+        $setOnInsert: {
+          amount,
+          balanceAfter: amount,
+          note: "Balance before the wallet ledger",
+          createdAt,
+          updatedAt: createdAt,
+        },
+      },
+      { upsert: true, timestamps: false }
+    );
+    recorded += result.upsertedCount;
+  }
+
+  if (recorded > 0) {
+    console.log(`Recorded the opening balance of ${recorded} accounts in the wallet ledger.`);
+  }
+};
+
+module.exports = {
+  recordOpeningBalances,
+  debitBalance,
+  creditBalance,
+};